@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { DataStore, listInstalledExtensions } from '../src/data-store.mjs';
+
+/**
+ * Call every MCP tool through the server, the way a client does, and check each reply validates against the
+ * tool's outputSchema. The client only validates structuredContent after listTools has handed it the schemas.
+ * Sample args are picked from the installed extension; run with `npm run check`.
+ */
+
+const store = new DataStore();
+store.load();
+
+const [namespace, namespaceFuncs] = store.namespaces.entries().next().value;
+const func = namespaceFuncs[0];
+const flagged = [...store.functions.values()].find((f) => f.flags?.length) ?? func;
+const [multiSourceName] = [...store.definitions].find(([, defs]) => defs.length > 1) ?? [func.fullName];
+const [widgetType] = store.widgets.keys();
+const [structureName] = store.structures.keys();
+const [mixinName] = store.mixins.keys();
+const enumName = Object.keys(store.enums).find((name) => Object.values(store.enums[name]).some((member) => typeof member.value === 'number'));
+const [eventName] = Object.keys(store.events);
+const [aliasName] = Object.keys(store.aliases);
+const cvar = store.cvars[0];
+const [constantName] = Object.keys(store.constants);
+const [deprecatedName] = store.deprecatedList;
+const installed = listInstalledExtensions();
+
+const addonDir = mkdtempSync(join(tmpdir(), 'wow-api-check-'));
+writeFileSync(join(addonDir, 'Addon.lua'), `local a = ${func.fullName}()\nlocal b = ${deprecatedName ?? func.fullName}()\nlocal c = UnknownFunctionForCheck()\n`);
+
+const SAMPLES = {
+	lookup_api: [{ name: func.fullName }, { name: func.fullName, expand_types: true, sources: true, detail: 'full' }, { name: multiSourceName, sources: true }, { name: func.name || func.fullName }],
+	search_api: [{ query: func.name || func.fullName }, { query: 'spell', detail: 'full', limit: 5 }],
+	find_by_type: [{ type: 'number', limit: 5 }, { type: 'string', direction: 'param', detail: 'full', limit: 5 }],
+	list_deprecated: [{}, { detail: 'full', limit: 5 }],
+	list_restricted: [{}, { filter: flagged.name || flagged.fullName, detail: 'full', limit: 5 }],
+	audit_addon: [{ path: addonDir }],
+	migrate_code: [{ code: `local b = ${deprecatedName ?? func.fullName}()` }],
+	check_flavors: [{ path: addonDir }],
+	get_namespace: [{ name: namespace }, { name: namespace, detail: 'full', limit: 3 }],
+	get_widget_methods: [{ widget_type: widgetType }, { widget_type: widgetType, include_inherited: true, detail: 'full', limit: 3 }],
+	get_widget_hierarchy: [{ widget_type: widgetType }],
+	get_structure: [{ name: structureName }],
+	get_mixin: [{ name: mixinName }, { name: mixinName, detail: 'full', limit: 3 }],
+	get_enum: [{ name: enumName }, { name: enumName.slice(-4), limit: 1 }],
+	decode_enum: [{ name: enumName, value: Object.values(store.enums[enumName]).find((member) => typeof member.value === 'number').value }, { name: enumName, value: 3, as_flags: true }, { name: enumName, names: Object.keys(store.enums[enumName]).slice(0, 2) }],
+	get_type: [{ name: aliasName ?? structureName }],
+	get_event: [{ name: eventName }, { name: 'list', limit: 5 }],
+	get_cvar: [{ name: cvar?.name ?? 'list' }],
+	search_cvars: [{ query: cvar?.name ?? 'a' }, { query: 'a', detail: 'full', limit: 5 }],
+	get_constant: [{ name: constantName ?? 'list' }, { limit: 5 }],
+	diff_api: [installed.length >= 2 ? {} : { from: store.extensionPath, to: store.extensionPath }],
+};
+
+const transport = new StdioClientTransport({
+	command: process.execPath,
+	args: [fileURLToPath(new URL('../src/index.mjs', import.meta.url)), '--no-watch'],
+	env: { ...process.env },
+	stderr: 'ignore',
+});
+const client = new Client({ name: 'wow-api-check', version: '1.0.0' });
+await client.connect(transport);
+
+let failures = 0;
+try {
+	const { tools } = await client.listTools();
+	for (const { name } of tools) {
+		const samples = SAMPLES[name];
+		if (!samples) {
+			console.log(`FAIL ${name}: no sample args`);
+			failures++;
+			continue;
+		}
+		for (const args of samples) {
+			const label = `${name} ${JSON.stringify(args)}`;
+			try {
+				const result = await client.callTool({ name, arguments: args });
+				if (result.isError) throw new Error(result.content.map((c) => c.text).join('\n'));
+				console.log(`ok   ${label}`);
+			} catch (err) {
+				console.log(`FAIL ${label}: ${err.message}`);
+				failures++;
+			}
+		}
+	}
+} finally {
+	await client.close();
+	rmSync(addonDir, { recursive: true, force: true });
+}
+
+console.log(failures ? `\n${failures} call(s) failed` : '\nAll tool results match their output schemas');
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,154 @@
+import { readFileSync, readdirSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Scan addon sources: global API calls in .lua files and target interface versions in .toc files.
+ * Only needs to be good enough to find `Func(` and `C_Namespace.Func(` call sites — not a full Lua parser.
+ */
+
+const LUA_KEYWORDS = new Set(['and', 'elseif', 'function', 'if', 'in', 'not', 'or', 'return', 'until', 'while']);
+
+/**
+ * Blank out comments and string literals, keeping newlines so offsets still map to the same lines.
+ */
+function stripCommentsAndStrings(source) {
+	const out = [];
+	let i = 0;
+
+	const blank = (text) => text.replace(/[^\n]/g, ' ');
+
+	while (i < source.length) {
+		const ch = source[i];
+
+		// Comments: --[[ ]], --[==[ ]==] and -- to end of line
+		if (ch === '-' && source[i + 1] === '-') {
+			const longMatch = source.slice(i + 2).match(/^\[(=*)\[/);
+			if (longMatch) {
+				const close = `]${longMatch[1]}]`;
+				const end = source.indexOf(close, i + 2 + longMatch[0].length);
+				const stop = end === -1 ? source.length : end + close.length;
+				out.push(blank(source.slice(i, stop)));
+				i = stop;
+				continue;
+			}
+			const end = source.indexOf('\n', i);
+			const stop = end === -1 ? source.length : end;
+			out.push(blank(source.slice(i, stop)));
+			i = stop;
+			continue;
+		}
+
+		// Long strings: [[ ]], [==[ ]==]
+		if (ch === '[') {
+			const longMatch = source.slice(i).match(/^\[(=*)\[/);
+			if (longMatch) {
+				const close = `]${longMatch[1]}]`;
+				const end = source.indexOf(close, i + longMatch[0].length);
+				const stop = end === -1 ? source.length : end + close.length;
+				out.push(blank(source.slice(i, stop)));
+				i = stop;
+				continue;
+			}
+		}
+
+		// Quoted strings, honouring backslash escapes
+		if (ch === '"' || ch === "'") {
+			let j = i + 1;
+			while (j < source.length && source[j] !== ch && source[j] !== '\n') {
+				j += source[j] === '\\' ? 2 : 1;
+			}
+			const stop = Math.min(j + 1, source.length);
+			out.push(blank(source.slice(i, stop)));
+			i = stop;
+			continue;
+		}
+
+		out.push(ch);
+		i++;
+	}
+
+	return out.join('');
+}
+
+/**
+ * Find every call to a global or dotted name (`Func(`, `C_Namespace.Func(`).
+ * Method calls (`obj:Method(`) are skipped. Field calls on locals (`x.y(`) are still reported by their
+ * dotted name; callers filter against the API index.
+ * Returns [{ name, line, column, offset, length }] with 1-based line/column; offset/length locate the
+ * name as written in the source (it may contain whitespace around dots).
+ */
+export function findCalls(source) {
+	const code = stripCommentsAndStrings(source);
+	const calls = [];
+
+	const lineStarts = [0];
+	for (let i = 0; i < code.length; i++) {
+		if (code[i] === '\n') lineStarts.push(i + 1);
+	}
+
+	const toLineColumn = (offset) => {
+		let lo = 0;
+		let hi = lineStarts.length - 1;
+		while (lo < hi) {
+			const mid = (lo + hi + 1) >> 1;
+			if (lineStarts[mid] <= offset) lo = mid;
+			else hi = mid - 1;
+		}
+		return { line: lo + 1, column: offset - lineStarts[lo] + 1 };
+	};
+
+	// Not part of a longer expression (`obj:Method(`, `t.x.Func(`), nor a definition (`function Func(`)
+	const regex = /(?<![\w.:])(?<![.:]\s+)(?<!\bfunction\s+)[A-Za-z_]\w*(?:\s*\.\s*[A-Za-z_]\w*)*(?=\s*\()/g;
+	let match;
+	while ((match = regex.exec(code)) !== null) {
+		const name = match[0].replace(/\s+/g, '');
+		if (LUA_KEYWORDS.has(name)) continue;
+
+		calls.push({ name, ...toLineColumn(match.index), offset: match.index, length: match[0].length });
+	}
+
+	return calls;
+}
+
+/**
+ * Map a TOC `## Interface` number to the game flavor it targets, or null if we have no flavor data for it.
+ * 1xxxx = Classic Era (Vanilla), 5xxxx = Mists Classic, 100000+ = Retail (Mainline).
+ */
+export function flavorFromInterface(interfaceVersion) {
+	if (interfaceVersion >= 100000) return 'Mainline';
+	if (interfaceVersion >= 50000 && interfaceVersion < 60000) return 'Mists';
+	if (interfaceVersion >= 10000 && interfaceVersion < 20000) return 'Vanilla';
+	return null;
+}
+
+/**
+ * Read `## Interface:` (and `## Interface-<Flavor>:`) lines from every .toc file in an addon directory.
+ * Returns [{ file, interfaces: number[] }].
+ */
+export function readTocInterfaces(addonPath) {
+	const results = [];
+	let entries = [];
+	try {
+		entries = readdirSync(addonPath);
+	} catch {
+		// Directory doesn't exist or not readable
+	}
+
+	for (const entry of entries) {
+		if (!entry.toLowerCase().endsWith('.toc')) continue;
+		const content = readFileSync(join(addonPath, entry), 'utf-8');
+		const interfaces = [];
+		for (const line of content.split(/\r?\n/)) {
+			const match = line.match(/^##\s*Interface(?:-\w+)?\s*:\s*(.+)$/i);
+			if (match) {
+				for (const part of match[1].split(',')) {
+					const version = parseInt(part.trim(), 10);
+					if (!Number.isNaN(version)) interfaces.push(version);
+				}
+			}
+		}
+		results.push({ file: entry, interfaces });
+	}
+
+	return results;
+}
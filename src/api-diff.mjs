@@ -0,0 +1,201 @@
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { Worker } from 'worker_threads';
+import { DataStore, listInstalledExtensions } from './data-store.mjs';
+
+/**
+ * Compare two loaded DataStores (e.g. two installed extension versions) — the patch-day changelog.
+ */
+
+/**
+ * Load the DataStores to diff. from/to are installed extension versions (e.g. "0.22.1") or extension paths;
+ * they default to the second-latest and latest installed versions.
+ */
+export function loadStoresForDiff(from, to, { useCache = true } = {}) {
+	const installed = listInstalledExtensions();
+
+	const resolve = (versionOrPath, fallbackIndex) => {
+		if (!versionOrPath) {
+			if (!installed[fallbackIndex]) {
+				throw new Error(`Need two installed ketho.wow-api versions to diff, found ${installed.length}. Pass extension paths explicitly.`);
+			}
+			return installed[fallbackIndex].path;
+		}
+		if (existsSync(join(versionOrPath, 'Annotations'))) return versionOrPath;
+
+		const match = installed.find((ext) => ext.version === versionOrPath);
+		if (!match) {
+			const available = installed.map((ext) => ext.version).join(', ') || 'none';
+			throw new Error(`No installed ketho.wow-api version "${versionOrPath}". Installed: ${available}`);
+		}
+		return match.path;
+	};
+
+	const oldStore = new DataStore();
+	oldStore.load({ useCache, extensionPath: resolve(from, 1) });
+	const newStore = new DataStore();
+	newStore.load({ useCache, extensionPath: resolve(to, 0) });
+	return { oldStore, newStore };
+}
+
+/**
+ * Load and diff two extensions (see loadStoresForDiff()) on a worker thread, so a server keeps answering other
+ * sessions while both are parsed. Resolves to diffStores() output.
+ */
+export function diffExtensionsInWorker(from, to, { useCache = true } = {}) {
+	return new Promise((resolve, reject) => {
+		const worker = new Worker(new URL('./reload-worker.mjs', import.meta.url), { workerData: { useCache, diff: { from, to } } });
+		worker.once('message', resolve);
+		worker.once('error', reject);
+		worker.once('exit', (code) => reject(new Error(`API diff worker exited with code ${code}`)));
+	});
+}
+
+function signatureOf(func) {
+	const params = func.params.map((p) => `${p.name}${p.optional ? '?' : ''}: ${p.type}`).join(', ');
+	const returns = func.returns.map((r) => r.type).join(', ');
+	return `(${params})${returns ? ` -> ${returns}` : ''}`;
+}
+
+function diffKeys(oldKeys, newKeys) {
+	const oldSet = new Set(oldKeys);
+	const newSet = new Set(newKeys);
+	return {
+		added: [...newSet].filter((k) => !oldSet.has(k)).sort(),
+		removed: [...oldSet].filter((k) => !newSet.has(k)).sort(),
+	};
+}
+
+/**
+ * An enum member's evaluated value, or its literal when it could not be evaluated.
+ */
+function enumMemberValue({ value, literal }) {
+	return value ?? literal;
+}
+
+/**
+ * Diff two DataStores.
+ * Returns {
+ *   from, to,                          extension versions
+ *   functions: { added, removed },     full names
+ *   signatureChanges: [{ name, from, to }],
+ *   newlyDeprecated: [function data],  deprecated in `to` but not in `from`
+ *   events, enums, cvars: { added, removed },
+ *   enumValues: [{ name, added, removed, changed: [{ key, from, to }] }],
+ *   widgetMethods: [{ widget, added, removed }],
+ * }
+ */
+export function diffStores(oldStore, newStore) {
+	const signatureChanges = [];
+	const newlyDeprecated = [];
+	for (const [name, newFunc] of newStore.functions) {
+		const oldFunc = oldStore.functions.get(name);
+		if (!oldFunc) continue;
+		const oldSig = signatureOf(oldFunc);
+		const newSig = signatureOf(newFunc);
+		if (oldSig !== newSig) signatureChanges.push({ name, from: oldSig, to: newSig });
+		if (newFunc.deprecated && !oldFunc.deprecated) newlyDeprecated.push(newFunc);
+	}
+
+	const enumValues = [];
+	for (const [name, newValues] of Object.entries(newStore.enums)) {
+		const oldValues = oldStore.enums[name];
+		if (!oldValues) continue;
+		const { added, removed } = diffKeys(Object.keys(oldValues), Object.keys(newValues));
+		const changed = Object.keys(newValues)
+			.filter((key) => key in oldValues && enumMemberValue(oldValues[key]) !== enumMemberValue(newValues[key]))
+			.map((key) => ({ key, from: enumMemberValue(oldValues[key]), to: enumMemberValue(newValues[key]) }));
+		if (added.length || removed.length || changed.length) enumValues.push({ name, added, removed, changed });
+	}
+
+	const widgetMethods = [];
+	for (const [widget, newWidget] of newStore.widgets) {
+		const oldWidget = oldStore.widgets.get(widget);
+		if (!oldWidget) continue;
+		const { added, removed } = diffKeys(oldWidget.methods.map((m) => m.name), newWidget.methods.map((m) => m.name));
+		if (added.length || removed.length) widgetMethods.push({ widget, added, removed });
+	}
+	for (const [widget, oldWidget] of oldStore.widgets) {
+		if (!newStore.widgets.has(widget) && oldWidget.methods.length > 0) {
+			widgetMethods.push({ widget, added: [], removed: oldWidget.methods.map((m) => m.name).sort() });
+		}
+	}
+	for (const [widget, newWidget] of newStore.widgets) {
+		if (!oldStore.widgets.has(widget) && newWidget.methods.length > 0) {
+			widgetMethods.push({ widget, added: newWidget.methods.map((m) => m.name).sort(), removed: [] });
+		}
+	}
+	widgetMethods.sort((a, b) => a.widget.localeCompare(b.widget));
+
+	return {
+		from: oldStore.extensionVersion,
+		to: newStore.extensionVersion,
+		functions: diffKeys(oldStore.functions.keys(), newStore.functions.keys()),
+		signatureChanges: signatureChanges.sort((a, b) => a.name.localeCompare(b.name)),
+		newlyDeprecated: newlyDeprecated.sort((a, b) => a.fullName.localeCompare(b.fullName)),
+		events: diffKeys(Object.keys(oldStore.events), Object.keys(newStore.events)),
+		enums: diffKeys(Object.keys(oldStore.enums), Object.keys(newStore.enums)),
+		enumValues: enumValues.sort((a, b) => a.name.localeCompare(b.name)),
+		widgetMethods,
+		cvars: diffKeys(oldStore.cvars.map((c) => c.name), newStore.cvars.map((c) => c.name)),
+	};
+}
+
+/**
+ * Render a diffStores() result as a text changelog.
+ */
+export function formatApiDiff(diff) {
+	const lines = [`API changes from ${diff.from} to ${diff.to}`];
+
+	const section = (title, { added, removed }) => {
+		if (added.length === 0 && removed.length === 0) return;
+		lines.push('', `${title} (+${added.length} / -${removed.length}):`);
+		for (const name of added) lines.push(`  + ${name}`);
+		for (const name of removed) lines.push(`  - ${name}`);
+	};
+
+	section('Functions', diff.functions);
+
+	if (diff.signatureChanges.length > 0) {
+		lines.push('', `Signature changes (${diff.signatureChanges.length}):`);
+		for (const change of diff.signatureChanges) {
+			lines.push(`  ~ ${change.name}`, `      was ${change.from}`, `      now ${change.to}`);
+		}
+	}
+
+	if (diff.newlyDeprecated.length > 0) {
+		lines.push('', `Newly deprecated (${diff.newlyDeprecated.length}):`);
+		for (const func of diff.newlyDeprecated) {
+			const replacement = func.replacedBy ? ` -> ${func.replacedBy}` : ' (no replacement listed)';
+			const patch = func.deprecatedInPatch ? ` [patch ${func.deprecatedInPatch}]` : '';
+			lines.push(`  ! ${func.fullName}${replacement}${patch}`);
+		}
+	}
+
+	section('Events', diff.events);
+	section('Enums', diff.enums);
+
+	if (diff.enumValues.length > 0) {
+		lines.push('', `Enum value changes (${diff.enumValues.length} enums):`);
+		for (const { name, added, removed, changed } of diff.enumValues) {
+			lines.push(`  ${name}:`);
+			for (const key of added) lines.push(`    + ${key}`);
+			for (const key of removed) lines.push(`    - ${key}`);
+			for (const c of changed) lines.push(`    ~ ${c.key}: ${c.from} -> ${c.to}`);
+		}
+	}
+
+	if (diff.widgetMethods.length > 0) {
+		lines.push('', `Widget method changes (${diff.widgetMethods.length} classes):`);
+		for (const { widget, added, removed } of diff.widgetMethods) {
+			lines.push(`  ${widget}:`);
+			for (const name of added) lines.push(`    + ${name}`);
+			for (const name of removed) lines.push(`    - ${name}`);
+		}
+	}
+
+	section('CVars', diff.cvars);
+
+	if (lines.length === 1) lines.push('', 'No differences.');
+	return lines.join('\n');
+}
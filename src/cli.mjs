@@ -0,0 +1,280 @@
+import { readFileSync } from 'fs';
+import { parseArgs } from 'util';
+import { z } from 'zod';
+import { DataStore } from './data-store.mjs';
+import { RESTRICTION_FLAGS } from './parsers/lua-annotations.mjs';
+import { GAME_FLAVORS } from './parsers/ts-data.mjs';
+import { runTool, TOOLS } from './tools.mjs';
+
+/**
+ * Command-line mode: `wow-api-mcp <command> [args] [--json]` runs one of the MCP tools against the
+ * DataStore and prints its text, or its structured output with --json, to stdout.
+ *
+ * Exit codes: 0 on success, 1 when a check finds problems or a lookup finds nothing (handy in
+ * shell scripts and git hooks), 2 on usage errors.
+ */
+
+const COMMANDS = {
+	lookup: {
+		tool: 'lookup_api',
+		usage: 'lookup <name> [--expand-types] [--depth <n>] [--sources]',
+		args: ([name], opts) => ({ name, expand_types: opts['expand-types'], depth: opts.depth && Number(opts.depth), sources: opts.sources }),
+		failed: (out) => out.total === 0,
+	},
+	search: {
+		tool: 'search_api',
+		usage: 'search <query...> [--exclude-restricted]',
+		args: (words, opts) => ({ query: words.join(' '), exclude_restricted: opts['exclude-restricted'] }),
+		failed: (out) => out.total === 0,
+	},
+	type: {
+		tool: 'find_by_type',
+		usage: 'type <type> [--direction param|return|any] [--partial]',
+		args: ([type], opts) => ({ type, direction: opts.direction, exact: !opts.partial }),
+		failed: (out) => out.total === 0,
+	},
+	deprecated: {
+		tool: 'list_deprecated',
+		usage: 'deprecated [filter] [--since <patch>]',
+		args: ([filter], opts) => ({ filter, since: opts.since }),
+	},
+	restricted: {
+		tool: 'list_restricted',
+		usage: `restricted [filter] [--flags ${RESTRICTION_FLAGS.join(',')}]`,
+		args: ([filter], opts) => ({ filter, flags: opts.flags?.split(',').map((f) => f.trim().replace(/^#/, '')) }),
+	},
+	audit: {
+		tool: 'audit_addon',
+		usage: 'audit <addon-dir>',
+		args: ([path]) => ({ path }),
+		failed: (out) => !out.found || out.totalCalls > 0,
+	},
+	migrate: {
+		tool: 'migrate_code',
+		usage: 'migrate [file]                     (reads stdin without a file)',
+		args: ([file]) => ({ code: readFileSync(file ?? 0, 'utf-8') }),
+	},
+	flavors: {
+		tool: 'check_flavors',
+		usage: `flavors <addon-dir> [--flavors ${GAME_FLAVORS.join(',')}]`,
+		args: ([path], opts) => ({ path, flavors: opts.flavors?.split(',').map((f) => f.trim()) }),
+		failed: (out) => !out.found || out.targets.length === 0 || out.totalCalls > 0,
+	},
+	namespace: {
+		tool: 'get_namespace',
+		usage: 'namespace <name|list>',
+		args: ([name]) => ({ name }),
+		failed: (out) => !out.namespace && !out.namespaces,
+	},
+	widget: {
+		tool: 'get_widget_methods',
+		usage: 'widget <type|list> [--inherited]',
+		args: ([widget_type], opts) => ({ widget_type, include_inherited: opts.inherited }),
+		failed: (out) => !out.widget && !out.widgets,
+	},
+	hierarchy: {
+		tool: 'get_widget_hierarchy',
+		usage: 'hierarchy <type>',
+		args: ([widget_type]) => ({ widget_type }),
+		failed: (out) => !out.widget,
+	},
+	structure: {
+		tool: 'get_structure',
+		usage: 'structure <name|list>',
+		args: ([name]) => ({ name }),
+		failed: (out) => !out.structure && !out.structures,
+	},
+	mixin: {
+		tool: 'get_mixin',
+		usage: 'mixin <name|list>',
+		args: ([name]) => ({ name }),
+		failed: (out) => !out.mixin && !out.mixins,
+	},
+	enum: {
+		tool: 'get_enum',
+		usage: 'enum <name>',
+		args: ([name]) => ({ name }),
+		failed: (out) => Object.keys(out.enums).length === 0,
+	},
+	decode: {
+		tool: 'decode_enum',
+		usage: 'decode <enum> <value|member...> [--as-flags]',
+		args: ([name, ...rest], opts) => {
+			const isValue = rest.length === 1 && /^-?(\d+|0x[\da-f]+)$/i.test(rest[0]);
+			return { name, value: isValue ? parseNumber(rest[0]) : undefined, names: isValue ? undefined : rest, as_flags: opts['as-flags'] };
+		},
+		failed: (out) => out.value === null || (out.matches.length === 0 && out.flags.length === 0),
+	},
+	typedef: {
+		tool: 'get_type',
+		usage: 'typedef <name>',
+		args: ([name]) => ({ name }),
+		failed: (out) => !out.type,
+	},
+	event: {
+		tool: 'get_event',
+		usage: 'event <name>',
+		args: ([name]) => ({ name }),
+		failed: (out) => out.total === 0,
+	},
+	cvar: {
+		tool: 'get_cvar',
+		usage: 'cvar <name>',
+		args: ([name]) => ({ name }),
+		failed: (out) => !out.cvar,
+	},
+	cvars: {
+		tool: 'search_cvars',
+		usage: 'cvars <query> [--category <category>]',
+		args: ([query], opts) => ({ query, category: opts.category }),
+		failed: (out) => out.total === 0,
+	},
+	constant: {
+		tool: 'get_constant',
+		usage: 'constant [name|table|query] [--value <value>]',
+		args: ([name], opts) => ({ name, value: opts.value === undefined ? undefined : parseConstantValue(opts.value) }),
+		failed: (out) => out.total === 0,
+	},
+	diff: {
+		tool: 'diff_api',
+		usage: 'diff [from] [to]',
+		args: ([from, to]) => ({ from, to }),
+		noStore: true,
+	},
+};
+
+const OPTIONS = {
+	json: { type: 'boolean' },
+	limit: { type: 'string' },
+	offset: { type: 'string' },
+	detail: { type: 'string' },
+	help: { type: 'boolean', short: 'h' },
+	'expand-types': { type: 'boolean' },
+	depth: { type: 'string' },
+	sources: { type: 'boolean' },
+	direction: { type: 'string' },
+	partial: { type: 'boolean' },
+	'exclude-restricted': { type: 'boolean' },
+	since: { type: 'string' },
+	flavors: { type: 'string' },
+	flags: { type: 'string' },
+	inherited: { type: 'boolean' },
+	category: { type: 'string' },
+	'as-flags': { type: 'boolean' },
+	value: { type: 'string' },
+	// Server flags, also accepted here
+	'no-cache': { type: 'boolean' },
+	'clear-cache': { type: 'boolean' },
+	'no-watch': { type: 'boolean' },
+};
+
+const NUMBER = /^-?(\d+(\.\d+)?|0x[\da-f]+)$/i;
+
+/**
+ * Read a decimal or hex number, e.g. "-0x10". The sign is handled separately since Number() rejects negative hex.
+ */
+function parseNumber(text) {
+	return text.startsWith('-') ? -Number(text.slice(1)) : Number(text);
+}
+
+/**
+ * Read a --value option as the number, boolean or string it spells.
+ */
+function parseConstantValue(text) {
+	if (NUMBER.test(text)) return parseNumber(text);
+	if (text === 'true' || text === 'false') return text === 'true';
+	return text;
+}
+
+function usage() {
+	const lines = ['Usage: wow-api-mcp <command> [args] [--json] [--no-cache]', '', 'Commands:'];
+	for (const { usage: commandUsage } of Object.values(COMMANDS)) lines.push(`  ${commandUsage}`);
+	lines.push('', 'Listing commands also take --limit <n>, --offset <n> and --detail compact|full.', 'Without a command, starts the MCP server on stdio.');
+	return lines.join('\n');
+}
+
+/**
+ * The command named on a command line: its first positional once options and their values are skipped, or null.
+ * serverOptions declares the server's own options that take a value (e.g. --http <port>), so the value isn't read as a command.
+ */
+export function findCommand(argv, serverOptions = {}) {
+	const { positionals } = parseArgs({ args: argv, options: { ...OPTIONS, ...serverOptions }, allowPositionals: true, strict: false });
+	return positionals[0] ?? null;
+}
+
+/**
+ * Keep negative numbers (e.g. `decode Enum.Foo -1`) from being read as options: one following an option that takes a
+ * value is joined to it (`--value=-1`), the rest are moved behind a `--` as positionals. Command lines that already
+ * use `--` are left alone.
+ */
+function protectNegativeNumbers(argv) {
+	if (argv.includes('--')) return argv;
+	const args = [];
+	const numbers = [];
+	for (const arg of argv) {
+		const previous = args.at(-1);
+		if (!arg.startsWith('-') || !NUMBER.test(arg)) {
+			args.push(arg);
+		} else if (previous?.startsWith('--') && OPTIONS[previous.slice(2)]?.type === 'string') {
+			args.push(`${args.pop()}=${arg}`);
+		} else {
+			numbers.push(arg);
+		}
+	}
+	return numbers.length > 0 ? [...args, '--', ...numbers] : args;
+}
+
+/**
+ * Run a CLI command. Resolves to the process exit code.
+ */
+export async function runCli(argv, { useCache = true } = {}) {
+	let parsed;
+	try {
+		parsed = parseArgs({ args: protectNegativeNumbers(argv), options: OPTIONS, allowPositionals: true });
+	} catch (err) {
+		console.error(`${err.message}\n\n${usage()}`);
+		return 2;
+	}
+
+	const [commandName, ...positionals] = parsed.positionals;
+	const opts = parsed.values;
+	if (commandName === 'help' || opts.help) {
+		console.log(usage());
+		return 0;
+	}
+
+	const command = COMMANDS[commandName];
+	if (!command) {
+		console.error(`Unknown command "${commandName}".\n\n${usage()}`);
+		return 2;
+	}
+	const tool = TOOLS.find((t) => t.name === command.tool);
+
+	try {
+		// Paging options apply to every tool that takes them
+		const args = command.args(positionals, opts);
+		for (const key of ['limit', 'offset', 'detail']) {
+			if (opts[key] !== undefined && tool.inputSchema[key]) args[key] = key === 'detail' ? opts[key] : Number(opts[key]);
+		}
+
+		const input = z.object(tool.inputSchema).safeParse(args);
+		if (!input.success) {
+			const problems = input.error.issues.map((issue) => `${issue.path.join('.') || 'input'}: ${issue.message}`);
+			console.error(`${problems.join('\n')}\n\nUsage: wow-api-mcp ${command.usage}`);
+			return 2;
+		}
+
+		let store = null;
+		if (!command.noStore) {
+			store = new DataStore();
+			store.load({ useCache });
+		}
+
+		const { text, structured } = await runTool(tool, store, input.data, { useCache });
+		console.log(opts.json ? JSON.stringify(structured, null, 2) : text);
+		return command.failed?.(structured) ? 1 : 0;
+	} catch (err) {
+		console.error(err.message);
+		return 1;
+	}
+}
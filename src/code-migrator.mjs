@@ -0,0 +1,204 @@
+/**
+ * Rewrite deprecated API calls in Lua source to their replacements.
+ *
+ * Each deprecated call with a `replacedBy` function is renamed. The two signatures are compared first:
+ * when every argument the old function took is still accepted and every value it returned still comes back,
+ * the rename is safe; otherwise the call is still renamed but gets a TODO comment listing the mismatches.
+ */
+
+function typeMembers(type) {
+	return type
+		.replace(/\?$/, '')
+		.split('|')
+		.map((t) => t.trim());
+}
+
+/**
+ * Whether a value of type `valueType` fits where `targetType` is expected (every union member is covered).
+ */
+function fitsType(valueType, targetType) {
+	const accepted = typeMembers(targetType);
+	return accepted.includes('any') || typeMembers(valueType).every((t) => accepted.includes(t));
+}
+
+/**
+ * Describe the ways calling `newFunc` the way `oldFunc` was called could break. Empty when the rename is safe.
+ */
+export function compareSignatures(oldFunc, newFunc) {
+	const mismatches = [];
+
+	// Trailing `...` varargs take any number of extra arguments
+	const newVarargs = newFunc.params.at(-1)?.name === '...' ? newFunc.params.at(-1) : null;
+	const paramCount = Math.max(oldFunc.params.length, newFunc.params.length);
+	for (let i = 0; i < paramCount; i++) {
+		const oldParam = oldFunc.params[i];
+		const newParam = newFunc.params[i] ?? newVarargs;
+		if (!newParam) {
+			mismatches.push(`param ${i + 1} ${oldParam.name} is no longer accepted`);
+		} else if (!oldParam) {
+			if (!newParam.optional) mismatches.push(`new required param ${i + 1} ${newParam.name}: ${newParam.type}`);
+		} else if (!fitsType(oldParam.type, newParam.type)) {
+			mismatches.push(`param ${i + 1} ${oldParam.name}: ${oldParam.type} is now ${newParam.name}${newParam.optional ? '?' : ''}: ${newParam.type}`);
+		} else if (oldParam.optional && !newParam.optional) {
+			mismatches.push(`param ${i + 1} ${newParam.name} is no longer optional`);
+		}
+	}
+
+	// Extra trailing returns are ignored by existing callers, so only the old returns need to line up
+	const returnsMatch = oldFunc.returns.every((r, i) => newFunc.returns[i] && fitsType(newFunc.returns[i].type, r.type));
+	if (!returnsMatch) {
+		const oldReturns = oldFunc.returns.map((r) => r.type).join(', ') || 'nothing';
+		const newReturns = newFunc.returns.map((r) => r.type).join(', ') || 'nothing';
+		mismatches.push(`returns ${oldReturns} -> now ${newReturns}`);
+	}
+
+	return mismatches;
+}
+
+/**
+ * Render a unified diff from the original lines and, per original line, the lines replacing it.
+ */
+function unifiedDiff(oldLines, blocks, context = 3) {
+	const ops = [];
+	oldLines.forEach((line, i) => {
+		const block = blocks[i];
+		if (block.length === 1 && block[0] === line) {
+			ops.push({ type: ' ', text: line });
+		} else {
+			ops.push({ type: '-', text: line });
+			for (const newLine of block) ops.push({ type: '+', text: newLine });
+		}
+	});
+
+	// Line numbers in the old and new text at the start of each op
+	const oldNumbers = [];
+	const newNumbers = [];
+	let oldLine = 1;
+	let newLine = 1;
+	for (const op of ops) {
+		oldNumbers.push(oldLine);
+		newNumbers.push(newLine);
+		if (op.type !== '+') oldLine++;
+		if (op.type !== '-') newLine++;
+	}
+
+	// Group changed ops into hunks, merging hunks whose context would overlap
+	const hunks = [];
+	ops.forEach((op, i) => {
+		if (op.type === ' ') return;
+		const last = hunks[hunks.length - 1];
+		const end = Math.min(ops.length, i + context + 1);
+		if (last && i - context <= last.end) last.end = end;
+		else hunks.push({ start: Math.max(0, i - context), end });
+	});
+
+	const out = ['--- a/snippet.lua', '+++ b/snippet.lua'];
+	for (const { start, end } of hunks) {
+		const hunk = ops.slice(start, end);
+		const oldCount = hunk.filter((op) => op.type !== '+').length;
+		const newCount = hunk.filter((op) => op.type !== '-').length;
+		out.push(`@@ -${oldNumbers[start]},${oldCount} +${newNumbers[start]},${newCount} @@`);
+		for (const op of hunk) out.push(`${op.type}${op.text.replace(/\r$/, '')}`);
+	}
+
+	return out.join('\n');
+}
+
+/**
+ * Migrate deprecated calls in Lua source.
+ * Returns {
+ *   code,                                             rewritten source
+ *   diff,                                             unified diff, empty when nothing changed
+ *   renamed: [{ line, column, name, replacedBy }],    safe one-to-one renames
+ *   needsReview: [{ ..., mismatches }],               renamed, with a TODO comment added above the line
+ *   notMigrated: [{ line, column, name, reason }],    left as is
+ * }
+ */
+export function migrateCode(store, source) {
+	const renamed = [];
+	const needsReview = [];
+	const notMigrated = [];
+	const edits = [];
+	const comments = new Map(); // 0-based line index -> comment texts
+
+	for (const { line, column, offset, length, func } of store.findDeprecatedCalls(source)) {
+		const name = func.fullName;
+		if (!func.replacedBy) {
+			notMigrated.push({ line, column, name, reason: 'no replacement listed' });
+			continue;
+		}
+		if (source.slice(offset, offset + length).includes('\n')) {
+			notMigrated.push({ line, column, name, reason: 'call name spans several lines' });
+			continue;
+		}
+
+		const replacement = store.functions.get(func.replacedBy);
+		const mismatches = replacement ? compareSignatures(func, replacement) : [`signature of ${func.replacedBy} is unknown`];
+		edits.push({ offset, length, text: func.replacedBy });
+
+		const entry = { line, column, name, replacedBy: func.replacedBy };
+		if (mismatches.length === 0) {
+			renamed.push(entry);
+			continue;
+		}
+		needsReview.push({ ...entry, mismatches });
+		const lineComments = comments.get(line - 1) || [];
+		const comment = `TODO: ${name} -> ${func.replacedBy}: ${mismatches.join('; ')}`;
+		if (!lineComments.includes(comment)) lineComments.push(comment);
+		comments.set(line - 1, lineComments);
+	}
+
+	let code = source;
+	for (const { offset, length, text } of edits.sort((a, b) => b.offset - a.offset)) {
+		code = code.slice(0, offset) + text + code.slice(offset + length);
+	}
+
+	const oldLines = source.split('\n');
+	const blocks = code.split('\n').map((line, i) => {
+		if (!comments.has(i)) return [line];
+		const indent = line.match(/^\s*/)[0];
+		const eol = line.endsWith('\r') ? '\r' : '';
+		return [...comments.get(i).map((comment) => `${indent}-- ${comment}${eol}`), line];
+	});
+
+	const byPosition = (a, b) => a.line - b.line || a.column - b.column;
+	return {
+		code: blocks.flat().join('\n'),
+		diff: edits.length > 0 ? unifiedDiff(oldLines, blocks) : '',
+		renamed: renamed.sort(byPosition),
+		needsReview: needsReview.sort(byPosition),
+		notMigrated: notMigrated.sort(byPosition),
+	};
+}
+
+/**
+ * Render a migrateCode() result as a summary followed by the diff.
+ */
+export function formatMigration(result) {
+	const { renamed, needsReview, notMigrated } = result;
+	const total = renamed.length + needsReview.length + notMigrated.length;
+	if (total === 0) return 'No deprecated API calls found.';
+
+	const lines = [
+		`Migrated ${renamed.length + needsReview.length} of ${total} deprecated call(s): ${renamed.length} safe rename(s), ${needsReview.length} needing review, ${notMigrated.length} not migrated.`,
+	];
+
+	if (renamed.length > 0) {
+		lines.push('', 'Safe renames (same params and returns):');
+		for (const r of renamed) lines.push(`  line ${r.line}: ${r.name} -> ${r.replacedBy}`);
+	}
+	if (needsReview.length > 0) {
+		lines.push('', 'Renamed, needs manual review (TODO comment added):');
+		for (const r of needsReview) {
+			lines.push(`  line ${r.line}: ${r.name} -> ${r.replacedBy}`);
+			for (const m of r.mismatches) lines.push(`    ${m}`);
+		}
+	}
+	if (notMigrated.length > 0) {
+		lines.push('', 'Not migrated:');
+		for (const r of notMigrated) lines.push(`  line ${r.line}: ${r.name} (${r.reason})`);
+	}
+
+	if (result.diff) lines.push('', '```diff', result.diff, '```');
+	return lines.join('\n');
+}
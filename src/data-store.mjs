@@ -1,6 +1,9 @@
-import { join } from 'path';
+import { join, relative } from 'path';
 import { readFileSync, readdirSync, existsSync } from 'fs';
-import { parseLuaFile, parseEnumFile, parseEventFile, parseCVarFile, findLuaFiles, extractPatchFromFilename } from './parsers/lua-annotations.mjs';
+import { findCalls, readTocInterfaces, flavorFromInterface } from './addon-scanner.mjs';
+import { SearchIndex, suggestNames } from './search-index.mjs';
+import { fingerprintExtension, readCache, writeCache } from './index-cache.mjs';
+import { parseLuaFile, parseEnumFile, parseEventFile, parseCVarFile, findLuaFiles, extractPatchFromFilename, splitTopLevel, RESTRICTION_FLAGS } from './parsers/lua-annotations.mjs';
 import { parseFlavorFile, parseDeprecatedFile } from './parsers/ts-data.mjs';
 
 /**
@@ -14,7 +17,7 @@ import { parseFlavorFile, parseDeprecatedFile } from './parsers/ts-data.mjs';
  *    - VS Code OSS: ~/.vscode-oss/extensions/
  *    - Cursor: ~/.cursor/extensions/
  */
-function findExtensionPath() {
+export function findExtensionPath() {
 	// 1. Explicit override via env var
 	if (process.env.WOW_API_EXT_PATH) {
 		const extPath = process.env.WOW_API_EXT_PATH;
@@ -26,11 +29,7 @@ function findExtensionPath() {
 	}
 
 	// 2. Auto-discover from known VS Code extension directories
-	const homeDir = process.env.USERPROFILE || process.env.HOME;
-	const candidates = ['.vscode', '.vscode-insiders', '.vscode-oss', '.cursor'];
-
-	for (const candidate of candidates) {
-		const extensionsDir = join(homeDir, candidate, 'extensions');
+	for (const extensionsDir of getExtensionsDirs()) {
 		const result = scanExtensionsDir(extensionsDir);
 		if (result) return result;
 	}
@@ -38,45 +37,212 @@ function findExtensionPath() {
 	return null;
 }
 
+/**
+ * The extensions directories findExtensionPath() scans, in priority order.
+ * With WOW_API_EXT_PATH set, that is the override path itself.
+ */
+export function getExtensionsDirs() {
+	if (process.env.WOW_API_EXT_PATH) {
+		return [process.env.WOW_API_EXT_PATH];
+	}
+
+	const homeDir = process.env.USERPROFILE || process.env.HOME;
+	const candidates = ['.vscode', '.vscode-insiders', '.vscode-oss', '.cursor'];
+	return candidates.map((candidate) => join(homeDir, candidate, 'extensions'));
+}
+
+/**
+ * List the ketho.wow-api extensions in one extensions directory.
+ * Returns [{ version, path }], latest version first (compared as versions, so 0.10.0 is newer than 0.9.3).
+ */
+function listExtensionsIn(extensionsDir) {
+	try {
+		return readdirSync(extensionsDir)
+			.filter((entry) => entry.startsWith('ketho.wow-api-'))
+			.map((entry) => ({ version: entry.slice('ketho.wow-api-'.length), path: join(extensionsDir, entry) }))
+			.sort((a, b) => comparePatches(b.version, a.version));
+	} catch {
+		return []; // Directory doesn't exist or not readable
+	}
+}
+
 /**
  * Scan an extensions directory for the ketho.wow-api extension.
  * Returns the path to the latest version found, or null.
  */
 function scanExtensionsDir(extensionsDir) {
-	try {
-		const entries = readdirSync(extensionsDir);
-		const matches = entries
-			.filter((e) => e.startsWith('ketho.wow-api-'))
-			.sort()
-			.reverse(); // Latest version first
-		if (matches.length > 0) {
-			return join(extensionsDir, matches[0]);
-		}
-	} catch {
-		// Directory doesn't exist or not readable
+	return listExtensionsIn(extensionsDir)[0]?.path ?? null;
+}
+
+/**
+ * List every installed ketho.wow-api extension across the extensions directories.
+ * Returns [{ version, path }], latest version first.
+ */
+export function listInstalledExtensions() {
+	return getExtensionsDirs()
+		.flatMap(listExtensionsIn)
+		.sort((a, b) => comparePatches(b.version, a.version));
+}
+
+/**
+ * Compare two patch or version strings like "10.1.5" and "11.0.0". Missing patches sort last. Suffixes such as
+ * "-universal" in an extension folder's version are ignored.
+ */
+function comparePatches(a, b) {
+	if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+	const pa = a.split('.').map((part) => parseInt(part, 10));
+	const pb = b.split('.').map((part) => parseInt(part, 10));
+	for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+		const diff = (pa[i] || 0) - (pb[i] || 0);
+		if (diff !== 0) return diff;
 	}
-	return null;
+	return 0;
+}
+
+const PRIMITIVE_TYPES = new Set(['nil', 'any', 'boolean', 'number', 'integer', 'string', 'table', 'function', 'fun', 'userdata', 'thread', 'unknown', 'self', 'true', 'false', 'void']);
+
+/**
+ * Extract the named (non-primitive) types from a LuaLS type string.
+ * Handles unions (`number|string`), optionals (`Foo?`), arrays (`Foo[]`) and generics (`table<number, Foo>`).
+ */
+function typeNamesOf(type) {
+	const cleaned = type
+		.replace(/"[^"]*"|'[^']*'/g, ' ') // string literal types
+		.replace(/\w+\??\s*:/g, ' '); // parameter names in fun(x: T)
+	const names = cleaned.match(/[A-Za-z_][\w.]*/g) || [];
+	return [...new Set(names.filter((name) => !PRIMITIVE_TYPES.has(name)))];
+}
+
+/**
+ * List the forms a type string can be matched by: each union member (without `?`),
+ * its element type for arrays (`number[]` -> `number`), and any named types inside generics.
+ */
+function typeCandidatesOf(type) {
+	const candidates = new Set();
+	for (const member of type.split('|')) {
+		const trimmed = member.trim().replace(/\?$/, '');
+		if (!trimmed) continue;
+		candidates.add(trimmed);
+		candidates.add(trimmed.replace(/(\[\])+$/, ''));
+	}
+	for (const name of typeNamesOf(type)) candidates.add(name);
+	return [...candidates];
+}
+
+function isPowerOfTwo(value) {
+	return Number.isInteger(value) && value > 0 && (BigInt(value) & (BigInt(value) - 1n)) === 0n;
+}
+
+/**
+ * Guess whether an enum is a set of bitflags: every non-zero value is a distinct power of two, and they go past 1 and 2
+ * (so small sequential enums like `None = 0, Spell = 1, FutureSpell = 2` don't count).
+ */
+function isFlagEnum(values) {
+	const nonZero = Object.values(values)
+		.map((member) => member.value)
+		.filter((v) => v !== null && v !== 0);
+	return nonZero.length >= 2 && nonZero.every(isPowerOfTwo) && new Set(nonZero).size === nonZero.length && Math.max(...nonZero) >= 4;
+}
+
+/**
+ * Annotation sets a function definition can come from, most authoritative first.
+ */
+const SOURCE_PRIORITY = ['blizzard', 'widget', 'deprecated', 'wiki', 'framexml'];
+
+/**
+ * Score how well a list of params or returns is documented: one point per typed entry and one per described entry.
+ */
+function documentationScore(entries) {
+	return entries.reduce((score, entry) => score + (entry.type && entry.type !== 'any' ? 1 : 0) + (entry.description ? 1 : 0), 0);
+}
+
+/**
+ * Fill in missing descriptions of params or returns from same-named entries of other definitions.
+ */
+function fillDescriptions(entries, definitions, key) {
+	return entries.map((entry) => {
+		if (entry.description || !entry.name) return entry;
+		const description = definitions.map((d) => d[key].find((other) => other.name === entry.name)?.description).find(Boolean);
+		return description ? { ...entry, description } : entry;
+	});
+}
+
+/**
+ * Merge the definitions of one function from several sources field by field:
+ * - params (with args, overloads and generics) and returns each come from the best documented definition
+ *   (see documentationScore), missing param and return descriptions filled in from the others
+ * - the longest description and the first wiki link win
+ * - the function is deprecated only by a Blizzard_Deprecated definition or an @deprecated annotation, never because
+ *   another source's definition is; flags are the union of all definitions' flags
+ * Ties go to the more authoritative source (SOURCE_PRIORITY), whose name also becomes `source`; `sources` lists them all.
+ */
+function mergeDefinitions(definitions) {
+	const byPriority = [...definitions].sort((a, b) => SOURCE_PRIORITY.indexOf(a.source) - SOURCE_PRIORITY.indexOf(b.source));
+	const best = (score) => byPriority.reduce((winner, d) => (score(d) > score(winner) ? d : winner));
+	const primary = byPriority[0];
+	const signature = best((d) => documentationScore(d.params));
+	const returns = best((d) => documentationScore(d.returns)).returns;
+	const deprecation = byPriority.find((d) => d.source === 'deprecated') ?? byPriority.find((d) => d.deprecated);
+
+	return {
+		fullName: primary.fullName,
+		namespace: primary.namespace,
+		name: primary.name,
+		args: signature.args,
+		isMethod: primary.isMethod,
+		deprecated: !!deprecation,
+		replacedBy: deprecation?.replacedBy ?? null,
+		replacedByUrl: deprecation?.replacedByUrl ?? null,
+		deprecatedInPatch: byPriority.find((d) => d.deprecatedInPatch)?.deprecatedInPatch,
+		wikiUrl: byPriority.find((d) => d.wikiUrl)?.wikiUrl ?? null,
+		description: byPriority.reduce((longest, d) => ((d.description?.length ?? 0) > (longest?.length ?? 0) ? d.description : longest), null),
+		params: fillDescriptions(signature.params, byPriority, 'params'),
+		returns: fillDescriptions(returns, byPriority, 'returns'),
+		overloads: signature.overloads,
+		generics: signature.generics,
+		flags: RESTRICTION_FLAGS.filter((flag) => byPriority.some((d) => d.flags.includes(flag))),
+		source: primary.source,
+		sources: [...new Set(byPriority.map((d) => d.source))],
+	};
+}
+
+/**
+ * A comparable form of a definition's signature: param names, types and optionality, and return types.
+ */
+function signatureKey({ params, returns }) {
+	return JSON.stringify([params.map((p) => [p.name, p.type, p.optional]), returns.map((r) => r.type)]);
 }
 
 export class DataStore {
 	constructor() {
 		// Indexed stores
-		this.functions = new Map(); // fullName -> function data
+		this.functions = new Map(); // fullName -> function data, merged from all its definitions (see mergeDefinitions)
+		this.definitions = new Map(); // fullName -> [function data as parsed, one per source definition]
 		this.namespaces = new Map(); // namespace -> [function data]
 		this.widgets = new Map(); // widget class -> { classInfo, methods: [function data] }
-		this.enums = {}; // enum name -> { key: value }
-		this.events = {}; // event name -> { name, payload }
-		this.cvars = []; // string[]
+		this.structures = new Map(); // Blizzard API documentation structure (e.g. SpellInfo) -> classInfo
+		this.mixins = new Map(); // FrameXML mixin class -> { classInfo, methods: [function data] }
+		this.enums = {}; // enum name -> { key: { value, literal } }, value null when the literal could not be evaluated
+		this.aliases = {}; // alias name -> { name, type, description, values: [{ value, description }] }
+		this.events = {}; // event name -> { name, payload, params: [{ name, type, optional, inferred? }], namespace }
+		this.cvars = []; // [{ name, description, default, category, scope }]
+		this.constants = {}; // constant name -> { name, value, literal, table, deprecated }, see parseLuaFile()
 		this.deprecatedList = new Set(); // names from deprecated.ts
 		this.flavorMap = {}; // func name -> game versions[]
 		this.extensionVersion = null;
+		this.extensionPath = null;
+		this.fingerprint = null; // hash of the extension's files, see fingerprintExtension()
+		this.loadedFromCache = false;
+		this.searchIndex = null; // built lazily by _getSearchIndex()
 	}
 
 	/**
 	 * Load all data from the VS Code extension.
+	 * Uses the on-disk index cache unless useCache is false or WOW_API_NO_CACHE is set.
+	 * extensionPath overrides discovery, e.g. to load an older installed version.
 	 */
-	load() {
-		const extPath = findExtensionPath();
+	load({ useCache = true, extensionPath } = {}) {
+		const extPath = extensionPath || findExtensionPath();
 		if (!extPath) {
 			throw new Error(
 				'Could not find ketho.wow-api VS Code extension.\n' +
@@ -92,7 +258,30 @@ export class DataStore {
 		} catch {
 			this.extensionVersion = 'unknown';
 		}
+		this.extensionPath = extPath;
+
+		this.fingerprint = fingerprintExtension(extPath);
+
+		const cacheEnabled = useCache && !process.env.WOW_API_NO_CACHE;
+		if (cacheEnabled) {
+			const cached = readCache(extPath, this.extensionVersion, this.fingerprint);
+			if (cached) {
+				this._restore(cached);
+				this.loadedFromCache = true;
+				return;
+			}
+		}
+
+		this._parseExtension(extPath);
+		if (cacheEnabled) {
+			writeCache(extPath, this.extensionVersion, this.fingerprint, this._serialize());
+		}
+	}
 
+	/**
+	 * Parse every annotation and data file of the extension into the indexes.
+	 */
+	_parseExtension(extPath) {
 		const annotationsCore = join(extPath, 'Annotations', 'Core');
 
 		// 1. Parse flavor data (version bitmasks)
@@ -111,13 +300,21 @@ export class DataStore {
 
 		// 3. Parse official Blizzard API documentation (C_ namespaces)
 		const blizzDocDir = join(annotationsCore, 'Blizzard_APIDocumentationGenerated');
+		const documentedEvents = [];
 		for (const file of findLuaFiles(blizzDocDir)) {
-			const { functions, classes } = parseLuaFile(file);
+			const { functions, classes, events, aliases, constants } = parseLuaFile(file);
 			for (const func of functions) {
 				this._indexFunction(func, 'blizzard');
 			}
+			this._indexAliases(aliases);
+			this._indexConstants(constants);
 			for (const cls of classes) {
-				this._indexClass(cls);
+				this._indexClass(cls, 'structure');
+			}
+			// Events belong to the system's namespace, or to the namespace of the file's functions
+			const fileNamespace = functions.find((f) => f.namespace && !f.isMethod)?.namespace || null;
+			for (const evt of events) {
+				documentedEvents.push({ ...evt, namespace: evt.namespace || fileNamespace });
 			}
 		}
 
@@ -125,7 +322,9 @@ export class DataStore {
 		const deprecatedDir = join(annotationsCore, 'FrameXML', 'Blizzard_Deprecated');
 		for (const file of findLuaFiles(deprecatedDir)) {
 			const patchVersion = extractPatchFromFilename(file);
-			const { functions } = parseLuaFile(file);
+			const { functions, aliases, constants } = parseLuaFile(file);
+			this._indexAliases(aliases);
+			this._indexConstants(constants, { deprecated: true });
 			for (const func of functions) {
 				func.deprecatedInPatch = patchVersion;
 				func.deprecated = true; // Ensure marked
@@ -136,34 +335,36 @@ export class DataStore {
 		// 5. Parse Wiki-documented global functions
 		const wikiPath = join(annotationsCore, 'Data', 'Wiki.lua');
 		if (existsSync(wikiPath)) {
-			const { functions } = parseLuaFile(wikiPath);
+			const { functions, aliases, constants } = parseLuaFile(wikiPath);
+			this._indexAliases(aliases);
+			this._indexConstants(constants);
 			for (const func of functions) {
-				// Cross-reference with deprecated list
-				if (this.deprecatedList.has(func.name || func.fullName)) {
+				// The extension's deprecated list counts as an @deprecated annotation. Namespaced functions match by
+				// full name only, so C_Foo.GetInfo isn't deprecated along with a global GetInfo.
+				if (this.deprecatedList.has(func.fullName) || (!func.namespace && this.deprecatedList.has(func.name))) {
 					func.deprecated = true;
 				}
-				// Don't overwrite if we already have a better definition
-				if (!this.functions.has(func.fullName)) {
-					this._indexFunction(func, 'wiki');
-				}
+				this._indexFunction(func, 'wiki');
 			}
 		}
 
 		// 6. Parse Widget API files
 		const widgetDir = join(annotationsCore, 'Widget');
 		for (const file of findLuaFiles(widgetDir)) {
-			const { functions, classes } = parseLuaFile(file);
+			const { functions, classes, aliases, constants } = parseLuaFile(file);
 			for (const cls of classes) {
-				this._indexClass(cls);
+				this._indexClass(cls, 'widget');
 			}
+			this._indexAliases(aliases);
+			this._indexConstants(constants);
 			for (const func of functions) {
-				this._indexFunction(func, 'widget');
+				const merged = this._indexFunction(func, 'widget');
 				// Also index as widget methods
 				if (func.isMethod && func.namespace) {
 					if (!this.widgets.has(func.namespace)) {
 						this.widgets.set(func.namespace, { methods: [] });
 					}
-					this.widgets.get(func.namespace).methods.push(func);
+					this.widgets.get(func.namespace).methods.push(merged);
 				}
 			}
 		}
@@ -171,34 +372,43 @@ export class DataStore {
 		// 7. Parse FrameXML (non-deprecated) for additional mixins/methods
 		const frameXmlDir = join(annotationsCore, 'FrameXML');
 		const frameXmlSubdirs = ['Blizzard_FrameXML', 'Blizzard_ObjectAPI', 'Blizzard_SharedXML', 'Blizzard_Menu', 'Blizzard_NamePlates'];
+		const frameXmlMethods = new Set();
 		for (const subdir of frameXmlSubdirs) {
 			const dir = join(frameXmlDir, subdir);
 			if (existsSync(dir)) {
 				for (const file of findLuaFiles(dir)) {
-					const { functions, classes } = parseLuaFile(file);
+					const { functions, classes, aliases, constants } = parseLuaFile(file);
 					for (const cls of classes) {
-						this._indexClass(cls);
+						this._indexClass(cls, 'mixin');
 					}
+					this._indexAliases(aliases);
+					this._indexConstants(constants);
 					for (const func of functions) {
-						if (!this.functions.has(func.fullName)) {
-							this._indexFunction(func, 'framexml');
-						}
+						const merged = this._indexFunction(func, 'framexml');
+						if (func.isMethod) frameXmlMethods.add(merged);
 					}
 				}
 			}
 		}
+		// Mixin classes can be declared in a different file than their methods
+		for (const func of frameXmlMethods) {
+			this.mixins.get(func.namespace)?.methods.push(func);
+		}
 
-		// 8. Parse enums
+		// 8. Parse enums, and the Constants.* tables that share their file
 		const enumPath = join(annotationsCore, 'Data', 'Enum.lua');
 		if (existsSync(enumPath)) {
 			this.enums = parseEnumFile(enumPath);
+			this._indexConstants(parseLuaFile(enumPath).constants);
 		}
+		this._resolveConstants();
 
 		// 9. Parse events
 		const eventPath = join(annotationsCore, 'Data', 'Event.lua');
 		if (existsSync(eventPath)) {
 			this.events = parseEventFile(eventPath);
 		}
+		this._linkEvents(documentedEvents);
 
 		// 10. Parse CVars
 		const cvarPath = join(annotationsCore, 'Data', 'CVar.lua');
@@ -206,36 +416,205 @@ export class DataStore {
 			this.cvars = parseCVarFile(cvarPath);
 		}
 
-		// Apply flavor data to all indexed functions
+		// Apply flavor data to all indexed functions. Namespaced functions match by full name only, so
+		// C_Foo.GetInfo doesn't take the flavors of a global GetInfo.
 		for (const [name, func] of this.functions) {
-			const shortName = func.name || name;
-			if (this.flavorMap[shortName]) {
-				func.gameVersions = this.flavorMap[shortName];
-			} else if (this.flavorMap[name]) {
-				func.gameVersions = this.flavorMap[name];
-			}
+			const flavors = this.flavorMap[name] ?? (func.namespace ? undefined : this.flavorMap[func.name]);
+			if (flavors) func.gameVersions = flavors;
 		}
 	}
 
+	/**
+	 * Serialize the indexes to plain JSON for the cache.
+	 * Function objects are shared between functions, namespaces, widgets and mixins, so they are stored once and
+	 * referenced by index. The per-source definitions are stored as they are.
+	 */
+	_serialize() {
+		const funcList = [];
+		const funcIds = new Map();
+		const ref = (func) => {
+			if (!funcIds.has(func)) {
+				funcIds.set(func, funcList.length);
+				funcList.push(func);
+			}
+			return funcIds.get(func);
+		};
+
+		return {
+			functions: [...this.functions.values()].map(ref),
+			namespaces: [...this.namespaces].map(([name, funcs]) => [name, funcs.map(ref)]),
+			widgets: [...this.widgets].map(([name, widget]) => [name, { ...widget, methods: widget.methods.map(ref) }]),
+			structures: [...this.structures],
+			mixins: [...this.mixins].map(([name, mixin]) => [name, { ...mixin, methods: mixin.methods.map(ref) }]),
+			funcList,
+			definitions: [...this.definitions],
+			enums: this.enums,
+			aliases: this.aliases,
+			events: this.events,
+			cvars: this.cvars,
+			constants: this.constants,
+			deprecatedList: [...this.deprecatedList],
+			flavorMap: this.flavorMap,
+		};
+	}
+
+	/**
+	 * Snapshot the loaded store as plain data, e.g. to hand it over from a worker thread.
+	 */
+	toSnapshot() {
+		return {
+			extensionVersion: this.extensionVersion,
+			extensionPath: this.extensionPath,
+			fingerprint: this.fingerprint,
+			data: this._serialize(),
+		};
+	}
+
+	/**
+	 * Rebuild a store from toSnapshot() output.
+	 */
+	static fromSnapshot(snapshot) {
+		const store = new DataStore();
+		store.extensionVersion = snapshot.extensionVersion;
+		store.extensionPath = snapshot.extensionPath;
+		store.fingerprint = snapshot.fingerprint;
+		store._restore(snapshot.data);
+		return store;
+	}
+
+	/**
+	 * Restore the indexes from _serialize() output.
+	 */
+	_restore(data) {
+		const funcs = data.funcList;
+		this.functions = new Map(data.functions.map((id) => [funcs[id].fullName, funcs[id]]));
+		this.definitions = new Map(data.definitions);
+		this.namespaces = new Map(data.namespaces.map(([name, ids]) => [name, ids.map((id) => funcs[id])]));
+		this.widgets = new Map(data.widgets.map(([name, widget]) => [name, { ...widget, methods: widget.methods.map((id) => funcs[id]) }]));
+		this.structures = new Map(data.structures);
+		this.mixins = new Map(data.mixins.map(([name, mixin]) => [name, { ...mixin, methods: mixin.methods.map((id) => funcs[id]) }]));
+		this.enums = data.enums;
+		this.aliases = data.aliases;
+		this.events = data.events;
+		this.cvars = data.cvars;
+		this.constants = data.constants;
+		this.deprecatedList = new Set(data.deprecatedList);
+		this.flavorMap = data.flavorMap;
+	}
+
+	/**
+	 * Add one source's definition of a function and re-merge all of its definitions (see mergeDefinitions).
+	 * Returns the merged function, which stays the same object as further definitions arrive, so namespaces,
+	 * widgets and mixins can hold on to it.
+	 */
 	_indexFunction(func, source) {
-		func.source = source;
-		if (!func.gameVersions) func.gameVersions = [];
-		this.functions.set(func.fullName, func);
+		const definitions = this.definitions.get(func.fullName) ?? [];
+		definitions.push({ ...func, source });
+		this.definitions.set(func.fullName, definitions);
+
+		const existing = this.functions.get(func.fullName);
+		if (existing) return Object.assign(existing, mergeDefinitions(definitions));
+
+		const merged = { ...mergeDefinitions(definitions), gameVersions: [] };
+		this.functions.set(func.fullName, merged);
 
 		// Index by namespace
-		if (func.namespace && !func.isMethod) {
-			if (!this.namespaces.has(func.namespace)) {
-				this.namespaces.set(func.namespace, []);
+		if (merged.namespace && !merged.isMethod) {
+			if (!this.namespaces.has(merged.namespace)) {
+				this.namespaces.set(merged.namespace, []);
+			}
+			this.namespaces.get(merged.namespace).push(merged);
+		}
+		return merged;
+	}
+
+	/**
+	 * Fill in event payload params from Blizzard documentation tables, then infer the type of any
+	 * still-untyped param from the most common type of same-named function params.
+	 */
+	_linkEvents(documentedEvents) {
+		for (const doc of documentedEvents) {
+			const params = doc.params.map((p) => ({ ...p, type: this.enums[`Enum.${p.type}`] ? `Enum.${p.type}` : p.type }));
+			const existing = this.events[doc.name];
+			if (existing) {
+				if (params.length > 0) existing.params = params;
+				existing.namespace = doc.namespace;
+			} else {
+				const payload = params.length > 0 ? params.map((p) => p.name).join(', ') : null;
+				this.events[doc.name] = { name: doc.name, payload, params, namespace: doc.namespace };
+			}
+		}
+
+		const typeCounts = new Map(); // param name -> Map(type -> count)
+		for (const [, func] of this.functions) {
+			for (const p of func.params) {
+				if (!typeCounts.has(p.name)) typeCounts.set(p.name, new Map());
+				const counts = typeCounts.get(p.name);
+				counts.set(p.type, (counts.get(p.type) || 0) + 1);
+			}
+		}
+
+		for (const evt of Object.values(this.events)) {
+			for (const p of evt.params) {
+				if (p.type || !typeCounts.has(p.name)) continue;
+				const [bestType] = [...typeCounts.get(p.name)].sort((a, b) => b[1] - a[1])[0];
+				p.type = bestType;
+				p.inferred = true;
 			}
-			this.namespaces.get(func.namespace).push(func);
 		}
 	}
 
-	_indexClass(cls) {
-		if (!this.widgets.has(cls.name)) {
-			this.widgets.set(cls.name, { classInfo: cls, methods: [] });
+	_indexAliases(aliases) {
+		for (const alias of aliases) {
+			this.aliases[alias.name] = alias;
+		}
+	}
+
+	/**
+	 * Index constants parsed by parseLuaFile(). Later definitions replace earlier ones, so a constant that a deprecated
+	 * file and a current file both define ends up as the current one.
+	 */
+	_indexConstants(constants, { deprecated = false } = {}) {
+		for (const constant of constants) {
+			this.constants[constant.name] = { ...constant, deprecated };
+		}
+	}
+
+	/**
+	 * Evaluate constants that reference enum members or other constants (`LE_ITEM_QUALITY_POOR = Enum.ItemQuality.Poor`),
+	 * which parseLuaFile() cannot do as they may be defined in other files.
+	 */
+	_resolveConstants() {
+		const resolve = (name, seen = new Set()) => {
+			const constant = this.constants[name];
+			if (constant) {
+				if (constant.value !== null || seen.has(name) || !/^[A-Za-z_][\w.]*$/.test(constant.literal)) return constant.value;
+				seen.add(name);
+				return resolve(constant.literal, seen);
+			}
+			const enumName = Object.keys(this.enums).find((key) => name.startsWith(`${key}.`));
+			return enumName ? (this.enums[enumName][name.slice(enumName.length + 1)]?.value ?? null) : null;
+		};
+		for (const constant of Object.values(this.constants)) {
+			if (constant.value === null) constant.value = resolve(constant.name);
+		}
+	}
+
+	/**
+	 * Index a @class by where it was declared: 'widget' (Widget API), 'structure' (Blizzard API documentation
+	 * tables, which have no methods) or 'mixin' (FrameXML).
+	 */
+	_indexClass(cls, origin) {
+		if (origin === 'structure') {
+			this.structures.set(cls.name, cls);
+			return;
+		}
+
+		const classes = origin === 'widget' ? this.widgets : this.mixins;
+		if (!classes.has(cls.name)) {
+			classes.set(cls.name, { classInfo: cls, methods: [] });
 		} else {
-			this.widgets.get(cls.name).classInfo = cls;
+			classes.get(cls.name).classInfo = cls;
 		}
 	}
 
@@ -243,6 +622,7 @@ export class DataStore {
 
 	/**
 	 * Look up a function by exact or partial name (case-insensitive).
+	 * Partial matches are ranked by how well the name matches.
 	 */
 	lookupApi(name) {
 		// Exact match first
@@ -258,44 +638,117 @@ export class DataStore {
 			}
 		}
 
-		// Partial match on function name (not namespace)
-		const results = [];
-		for (const [key, func] of this.functions) {
-			const shortName = func.name || key;
-			if (shortName.toLowerCase() === lowerName || key.toLowerCase().includes(lowerName)) {
-				results.push(func);
-			}
-		}
+		// Ranked partial match on function names
+		return this._getSearchIndex().search(name, { namesOnly: true });
+	}
+
+	/**
+	 * Get every source's definition of a function, most authoritative source first, and the fields they disagree on:
+	 * 'description', 'wikiUrl', 'signature' (param names, types and optionality, return types), 'deprecated' or 'flags'.
+	 * Returns { definitions, differences } or null for an unknown function.
+	 */
+	getFunctionSources(fullName) {
+		const definitions = this.definitions.get(fullName);
+		if (!definitions) return null;
 
-		return results.slice(0, 25);
+		const sorted = [...definitions].sort((a, b) => SOURCE_PRIORITY.indexOf(a.source) - SOURCE_PRIORITY.indexOf(b.source));
+		const fields = {
+			description: (d) => d.description,
+			wikiUrl: (d) => d.wikiUrl,
+			signature: signatureKey,
+			deprecated: (d) => `${d.deprecated} ${d.replacedBy}`,
+			flags: (d) => d.flags.join(' '),
+		};
+		const differences = Object.keys(fields).filter((field) => new Set(sorted.map(fields[field])).size > 1);
+		return { definitions: sorted, differences };
 	}
 
 	/**
-	 * Search functions by query string (searches name and description).
+	 * Search functions by query string (searches name and description), best matches first.
+	 * excludeRestricted drops functions with any restriction flag (#protected, #nocombat, ...).
 	 */
-	searchApi(query) {
-		const lowerQuery = query.toLowerCase();
-		const results = [];
+	searchApi(query, { excludeRestricted = false } = {}) {
+		const results = this._getSearchIndex().search(query);
+		return excludeRestricted ? results.filter((func) => func.flags.length === 0) : results;
+	}
 
-		for (const [, func] of this.functions) {
-			const searchable = [func.fullName, func.name, func.description].filter(Boolean).join(' ').toLowerCase();
+	/**
+	 * Suggest close names for a query that found nothing ("did you mean").
+	 * kind: 'function' | 'namespace' | 'widget' | 'structure' | 'mixin' | 'enum' | 'type' | 'event' | 'cvar'
+	 */
+	suggest(query, kind) {
+		const names = {
+			function: () => this.functions.keys(),
+			namespace: () => this.namespaces.keys(),
+			widget: () => this.widgets.keys(),
+			structure: () => this.structures.keys(),
+			mixin: () => this.mixins.keys(),
+			enum: () => Object.keys(this.enums),
+			type: () => this._typeNames(),
+			event: () => Object.keys(this.events),
+			cvar: () => this.cvars.map((cvar) => cvar.name),
+			constant: () => Object.keys(this.constants),
+		}[kind];
+		return names ? suggestNames(query, names()) : [];
+	}
+
+	/**
+	 * Build the function search index on first use.
+	 */
+	_getSearchIndex() {
+		if (!this.searchIndex) {
+			this.searchIndex = new SearchIndex(
+				[...this.functions.values()].map((func) => ({
+					name: func.fullName,
+					shortName: func.name,
+					description: func.description,
+					deprecated: func.deprecated,
+					item: func,
+				}))
+			);
+		}
+		return this.searchIndex;
+	}
+
+	/**
+	 * Find functions and widget methods whose params and/or returns use a type.
+	 * direction: 'param' | 'return' | 'any'. exact matches whole union members / array element types;
+	 * otherwise any type string containing the query matches. Case-insensitive.
+	 * Returns [{ func, matches: [{ direction, name, type }] }], non-deprecated functions first.
+	 */
+	findByType(typeQuery, { direction = 'any', exact = true } = {}) {
+		const query = typeQuery.trim().replace(/\?$/, '').toLowerCase();
+		const typeMatches = (type) => (exact ? typeCandidatesOf(type).some((c) => c.toLowerCase() === query) : type.toLowerCase().includes(query));
 
-			if (searchable.includes(lowerQuery)) {
-				results.push(func);
+		const results = [];
+		for (const [, func] of this.functions) {
+			const matches = [];
+			if (direction !== 'return') {
+				for (const p of func.params) {
+					if (typeMatches(p.type)) matches.push({ direction: 'param', name: p.name, type: p.type });
+				}
+			}
+			if (direction !== 'param') {
+				for (const r of func.returns) {
+					if (typeMatches(r.type)) matches.push({ direction: 'return', name: r.name, type: r.type });
+				}
 			}
+			if (matches.length > 0) results.push({ func, matches });
 		}
 
-		return results.slice(0, 50);
+		return results.sort((a, b) => Number(a.func.deprecated) - Number(b.func.deprecated));
 	}
 
 	/**
 	 * List all deprecated functions.
+	 * `since` keeps only functions deprecated in that patch or later (e.g. "11.0.0").
 	 */
-	listDeprecated(namespaceFilter) {
+	listDeprecated(namespaceFilter, { since } = {}) {
 		const results = [];
 
 		for (const [, func] of this.functions) {
 			if (!func.deprecated) continue;
+			if (since && (!func.deprecatedInPatch || comparePatches(func.deprecatedInPatch, since) < 0)) continue;
 			if (namespaceFilter && func.namespace && !func.namespace.toLowerCase().includes(namespaceFilter.toLowerCase())) continue;
 			if (namespaceFilter && !func.namespace && !func.fullName.toLowerCase().includes(namespaceFilter.toLowerCase())) continue;
 			results.push(func);
@@ -304,6 +757,117 @@ export class DataStore {
 		return results;
 	}
 
+	/**
+	 * List functions carrying restriction flags (#protected, #nocombat, #restrictedframe, #hwevent).
+	 * `flags` keeps only functions with at least one of the given flags (default: any flag).
+	 * The namespace filter works like listDeprecated()'s. Non-deprecated functions first, then by name.
+	 */
+	listRestricted(namespaceFilter, { flags = RESTRICTION_FLAGS } = {}) {
+		const results = [];
+		const lowerFilter = namespaceFilter?.toLowerCase();
+
+		for (const [, func] of this.functions) {
+			if (!func.flags.some((flag) => flags.includes(flag))) continue;
+			if (lowerFilter && !(func.namespace || func.fullName).toLowerCase().includes(lowerFilter)) continue;
+			results.push(func);
+		}
+
+		return results.sort((a, b) => Number(a.deprecated) - Number(b.deprecated) || a.fullName.localeCompare(b.fullName));
+	}
+
+	/**
+	 * Find calls to deprecated functions in Lua source.
+	 * Returns [{ line, column, offset, length, func }] sorted by deprecation patch, then position.
+	 */
+	findDeprecatedCalls(source) {
+		const calls = [];
+		for (const call of findCalls(source)) {
+			const func = this.functions.get(call.name);
+			if (func?.deprecated) {
+				calls.push({ line: call.line, column: call.column, offset: call.offset, length: call.length, func });
+			}
+		}
+		return calls.sort((a, b) => comparePatches(a.func.deprecatedInPatch, b.func.deprecatedInPatch) || a.line - b.line || a.column - b.column);
+	}
+
+	/**
+	 * Scan an addon directory's .lua files for calls to deprecated functions.
+	 * Returns { filesScanned, totalCalls, files: [{ file, calls: [{ line, column, func }] }] },
+	 * grouped by file (relative to addonPath), each file's calls sorted by deprecation patch then line.
+	 */
+	auditAddon(addonPath) {
+		const luaFiles = findLuaFiles(addonPath);
+		const files = [];
+		let totalCalls = 0;
+
+		for (const file of luaFiles) {
+			const calls = this.findDeprecatedCalls(readFileSync(file, 'utf-8'));
+			if (calls.length === 0) continue;
+
+			files.push({ file: relative(addonPath, file), calls });
+			totalCalls += calls.length;
+		}
+
+		files.sort((a, b) => a.file.localeCompare(b.file));
+		return { filesScanned: luaFiles.length, totalCalls, files };
+	}
+
+	/**
+	 * Infer target game flavors from the `## Interface` lines of an addon's .toc files.
+	 * Returns { flavors: string[], unsupported: number[] } — unsupported are interface versions with no flavor data.
+	 */
+	inferAddonFlavors(addonPath) {
+		const flavors = new Set();
+		const unsupported = new Set();
+		for (const { interfaces } of readTocInterfaces(addonPath)) {
+			for (const version of interfaces) {
+				const flavor = flavorFromInterface(version);
+				if (flavor) flavors.add(flavor);
+				else unsupported.add(version);
+			}
+		}
+		return { flavors: [...flavors], unsupported: [...unsupported] };
+	}
+
+	/**
+	 * Find calls in Lua source to functions unavailable in any of the target flavors.
+	 * Functions without flavor data are skipped, since their availability is unknown.
+	 * Returns [{ line, column, func, missing: string[] }].
+	 */
+	findFlavorIssues(source, targetFlavors) {
+		const calls = [];
+		for (const call of findCalls(source)) {
+			const func = this.functions.get(call.name);
+			if (!func || func.gameVersions.length === 0) continue;
+			const missing = targetFlavors.filter((flavor) => !func.gameVersions.includes(flavor));
+			if (missing.length > 0) {
+				calls.push({ line: call.line, column: call.column, func, missing });
+			}
+		}
+		return calls;
+	}
+
+	/**
+	 * Scan an addon directory's .lua files for API calls that are unavailable in any of the target flavors.
+	 * Returns { filesScanned, totalCalls, files: [{ file, calls: [{ line, column, func, missing: string[] }] }] }.
+	 */
+	checkAddonFlavors(addonPath, targetFlavors) {
+		const luaFiles = findLuaFiles(addonPath);
+		const files = [];
+		let totalCalls = 0;
+
+		for (const file of luaFiles) {
+			const calls = this.findFlavorIssues(readFileSync(file, 'utf-8'), targetFlavors);
+			if (calls.length === 0) continue;
+
+			files.push({ file: relative(addonPath, file), calls });
+			totalCalls += calls.length;
+		}
+
+		files.sort((a, b) => a.file.localeCompare(b.file));
+		return { filesScanned: luaFiles.length, totalCalls, files };
+	}
+
 	/**
 	 * Get all functions in a namespace.
 	 */
@@ -335,20 +899,107 @@ export class DataStore {
 	 * Get widget class info and methods.
 	 */
 	getWidgetMethods(widgetType) {
-		// Exact match
-		if (this.widgets.has(widgetType)) {
-			return this.widgets.get(widgetType);
+		const name = this._resolveWidgetName(widgetType);
+		return name ? this.widgets.get(name) : null;
+	}
+
+	/**
+	 * Resolve a widget class name (exact, then case-insensitive) to its key in the widget index.
+	 */
+	_resolveWidgetName(widgetType) {
+		return this._resolveKey(this.widgets, widgetType);
+	}
+
+	/**
+	 * Resolve a name (exact, then case-insensitive) to its key in a Map index.
+	 */
+	_resolveKey(index, name) {
+		if (index.has(name)) return name;
+
+		const lowerName = name.toLowerCase();
+		for (const key of index.keys()) {
+			if (key.toLowerCase() === lowerName) {
+				return key;
+			}
 		}
 
-		// Case-insensitive
-		const lowerType = widgetType.toLowerCase();
+		return null;
+	}
+
+	/**
+	 * Get widget methods flattened over the whole ancestor chain.
+	 * Ancestors are walked depth-first in declaration order; a method declared closer to the widget
+	 * overrides same-named methods further up. Cycles are skipped, unknown parents are collected.
+	 * Returns { name, widget, methods: [{ method, from }], ancestors, missingParents } or null.
+	 */
+	getWidgetMethodsInherited(widgetType) {
+		const name = this._resolveWidgetName(widgetType);
+		if (!name) return null;
+
+		const methods = [];
+		const seenMethods = new Set();
+		const ancestors = [];
+		const missingParents = [];
+		const visited = new Set();
+
+		const visit = (className) => {
+			if (visited.has(className)) return;
+			visited.add(className);
+
+			const widget = this.widgets.get(className);
+			if (!widget) {
+				missingParents.push(className);
+				return;
+			}
+			if (className !== name) ancestors.push(className);
+
+			for (const method of widget.methods || []) {
+				if (seenMethods.has(method.name)) continue;
+				seenMethods.add(method.name);
+				methods.push({ method, from: className });
+			}
+
+			for (const parent of widget.classInfo?.inherits || []) {
+				visit(parent);
+			}
+		};
+		visit(name);
+
+		return { name, widget: this.widgets.get(name), methods, ancestors, missingParents };
+	}
+
+	/**
+	 * Get the class hierarchy around a widget: its ancestor tree and its descendant tree.
+	 * Tree nodes are { name, missing?, cycle?, children: [node] } — ancestor children are parents,
+	 * descendant children are subclasses.
+	 */
+	getWidgetHierarchy(widgetType) {
+		const name = this._resolveWidgetName(widgetType);
+		if (!name) return null;
+
+		const subclasses = new Map(); // class -> [direct subclasses]
 		for (const [key, widget] of this.widgets) {
-			if (key.toLowerCase() === lowerType) {
-				return widget;
+			for (const parent of widget.classInfo?.inherits || []) {
+				if (!subclasses.has(parent)) subclasses.set(parent, []);
+				subclasses.get(parent).push(key);
 			}
 		}
 
-		return null;
+		const build = (className, next, path) => {
+			if (path.has(className)) return { name: className, cycle: true, children: [] };
+			if (!this.widgets.has(className)) return { name: className, missing: true, children: [] };
+
+			path.add(className);
+			const children = next(className).map((child) => build(child, next, path));
+			path.delete(className);
+			return { name: className, children };
+		};
+
+		return {
+			name,
+			ancestors: build(name, (c) => this.widgets.get(c).classInfo?.inherits || [], new Set()),
+			descendants: build(name, (c) => (subclasses.get(c) || []).sort(), new Set()),
+		};
 	}
 
 	/**
@@ -359,20 +1010,43 @@ export class DataStore {
 	}
 
 	/**
-	 * Get enum values.
+	 * Get a Blizzard API structure (e.g. "SpellInfo") by exact or case-insensitive name.
 	 */
-	getEnum(name) {
-		if (this.enums[name]) return this.enums[name];
+	getStructure(name) {
+		const key = this._resolveKey(this.structures, name);
+		return key ? this.structures.get(key) : null;
+	}
 
-		// Case-insensitive / partial match
-		const lowerName = name.toLowerCase();
-		for (const [key, values] of Object.entries(this.enums)) {
-			if (key.toLowerCase() === lowerName || key.toLowerCase().includes(lowerName)) {
-				return { [key]: values };
-			}
-		}
+	/**
+	 * List all known API structures.
+	 */
+	listStructures() {
+		return [...this.structures.keys()].sort();
+	}
 
-		return null;
+	/**
+	 * Get a FrameXML mixin's class info and methods by exact or case-insensitive name.
+	 * Returns { name, classInfo, methods } or null.
+	 */
+	getMixin(name) {
+		const key = this._resolveKey(this.mixins, name);
+		return key ? { name: key, ...this.mixins.get(key) } : null;
+	}
+
+	/**
+	 * List all known FrameXML mixins.
+	 */
+	listMixins() {
+		return [...this.mixins.keys()].sort();
+	}
+
+	/**
+	 * Get an enum by name, with or without the `Enum.` prefix and ignoring case (see _resolveEnumName()).
+	 * Returns { name, values } or null; searchEnums() finds enums by partial name.
+	 */
+	getEnum(name) {
+		const key = this._resolveEnumName(name);
+		return key ? { name: key, values: this.enums[key] } : null;
 	}
 
 	/**
@@ -389,6 +1063,176 @@ export class DataStore {
 		return results;
 	}
 
+	/**
+	 * Resolve an enum name (exact, with or without the `Enum.` prefix, then case-insensitive) to its key.
+	 */
+	_resolveEnumName(name) {
+		const bare = name.replace(/^Enum\./i, '');
+		if (this.enums[name]) return name;
+		if (this.enums[`Enum.${bare}`]) return `Enum.${bare}`;
+
+		const lowerName = bare.toLowerCase();
+		return Object.keys(this.enums).find((key) => key.replace(/^Enum\./, '').toLowerCase() === lowerName) ?? null;
+	}
+
+	/**
+	 * Decode a numeric value of an enum. For bitflag enums (see isFlagEnum) the value is also split into its member flags.
+	 * asFlags forces (true) or disables (false) flag decoding instead of detecting it.
+	 * Returns { name, isFlags, value, matches, flags, unknownBits } or null if the enum is unknown;
+	 * matches are the keys equal to value, unknownBits the set bits no member accounts for.
+	 */
+	decodeEnum(name, value, { asFlags } = {}) {
+		const key = this._resolveEnumName(name);
+		if (!key) return null;
+
+		const values = this.enums[key];
+		const isFlags = asFlags ?? isFlagEnum(values);
+		const matches = Object.keys(values).filter((k) => values[k].value === value);
+		const flags = [];
+		let unknownBits = 0;
+
+		if (isFlags && Number.isInteger(value) && value > 0) {
+			let remaining = BigInt(value);
+			for (const [k, { value: v }] of Object.entries(values)) {
+				if (!isPowerOfTwo(v) || (BigInt(value) & BigInt(v)) === 0n) continue;
+				flags.push(k);
+				remaining &= ~BigInt(v);
+			}
+			unknownBits = Number(remaining);
+		}
+
+		return { name: key, isFlags, value, matches, flags, unknownBits };
+	}
+
+	/**
+	 * Encode enum member names (case-insensitive) into a value: the member's value, or for bitflag enums the OR of all members.
+	 * Returns { name, isFlags, keys, unknownKeys, value } or null if the enum is unknown;
+	 * value is null when a key is unknown or several keys are given for an enum that is not a bitflag enum.
+	 */
+	encodeEnum(name, keys, { asFlags } = {}) {
+		const enumKey = this._resolveEnumName(name);
+		if (!enumKey) return null;
+
+		const values = this.enums[enumKey];
+		const isFlags = asFlags ?? isFlagEnum(values);
+		const resolved = [];
+		const unknownKeys = [];
+		for (const k of keys) {
+			const match = Object.keys(values).find((member) => member.toLowerCase() === k.toLowerCase());
+			if (match) resolved.push(match);
+			else unknownKeys.push(k);
+		}
+
+		let value = null;
+		if (unknownKeys.length === 0 && resolved.length > 0) {
+			if (resolved.length === 1) {
+				value = values[resolved[0]].value;
+			} else if (isFlags && resolved.every((k) => Number.isInteger(values[k].value) && values[k].value >= 0)) {
+				value = Number(resolved.reduce((acc, k) => acc | BigInt(values[k].value), 0n));
+			}
+		}
+
+		return { name: enumKey, isFlags, keys: resolved, unknownKeys, value };
+	}
+
+	/**
+	 * Resolve a single type name to an alias, enum or class.
+	 * Returns { name, kind: 'alias', ... } (see resolveAlias) | { name, kind: 'enum', values } |
+	 * { name, kind: 'structure', origin, fields } | { name, kind: 'class', origin } or null.
+	 * Classes with fields are treated as structures; classes without fields (widgets, mixins) are just named.
+	 * origin is where the class was declared: 'structure', 'widget' or 'mixin'.
+	 */
+	resolveType(typeName) {
+		if (this.aliases[typeName]) {
+			return this.resolveAlias(typeName);
+		}
+
+		if (this.enums[typeName]) {
+			return { name: typeName, kind: 'enum', values: this.enums[typeName] };
+		}
+
+		const origin = this.structures.has(typeName) ? 'structure' : this.widgets.has(typeName) ? 'widget' : this.mixins.has(typeName) ? 'mixin' : null;
+		if (!origin) return null;
+
+		const classInfo = origin === 'structure' ? this.structures.get(typeName) : (origin === 'widget' ? this.widgets : this.mixins).get(typeName).classInfo;
+		if (classInfo?.fields?.length > 0) {
+			return { name: typeName, kind: 'structure', origin, fields: classInfo.fields };
+		}
+		return { name: typeName, kind: 'class', origin };
+	}
+
+	/**
+	 * All names resolveType() knows: aliases, enums and classes of every origin.
+	 */
+	_typeNames() {
+		return [...Object.keys(this.aliases), ...Object.keys(this.enums), ...this.structures.keys(), ...this.widgets.keys(), ...this.mixins.keys()];
+	}
+
+	/**
+	 * Resolve an alias to the values it allows, following members that are themselves aliases.
+	 * Literal members (`"player"`, `1`, `true`) become values; other members (`string`, `Enum.PowerType`) are listed in types.
+	 * Returns { name, kind: 'alias', definition, description, values: [{ value, description, from }], types } or null;
+	 * `from` names the alias a value was inherited from, or is null for the alias's own values.
+	 */
+	resolveAlias(name, seen = new Set()) {
+		const alias = this.aliases[name];
+		if (!alias) return null;
+		seen.add(name);
+
+		const values = [];
+		const types = [];
+		const members = [...(alias.type ? splitTopLevel(alias.type, '|').map((value) => ({ value, description: null })) : []), ...alias.values];
+		for (const { value, description } of members) {
+			if (/^(["'].*["']|-?\d+(\.\d+)?|true|false)$/.test(value)) {
+				values.push({ value, description, from: null });
+			} else if (this.aliases[value] && !seen.has(value)) {
+				const inner = this.resolveAlias(value, seen);
+				values.push(...inner.values.map((v) => ({ ...v, from: v.from || value })));
+				types.push(...inner.types.filter((t) => !types.includes(t)));
+			} else if (value && !types.includes(value)) {
+				types.push(value);
+			}
+		}
+
+		return { name, kind: 'alias', definition: alias.type, description: alias.description, values, types };
+	}
+
+	/**
+	 * Look up any named type (alias, enum, structure or class) by exact or case-insensitive name.
+	 */
+	getType(name) {
+		const resolved = this.resolveType(name);
+		if (resolved) return resolved;
+
+		const lowerName = name.toLowerCase();
+		const match = this._typeNames().find((key) => key.toLowerCase() === lowerName);
+		return match ? this.resolveType(match) : null;
+	}
+
+	/**
+	 * Expand the named types referenced by a list of type strings into enums and structures.
+	 * Structure fields are expanded recursively until `depth` levels; each type is expanded only once.
+	 * Returns [{ name, kind: 'enum'|'structure'|'class'|'unresolved', values?, fields?, expanded? }].
+	 */
+	expandTypes(typeStrings, depth = 1, seen = new Set()) {
+		const expanded = [];
+		for (const typeName of typeStrings.flatMap(typeNamesOf)) {
+			if (seen.has(typeName)) continue;
+			seen.add(typeName);
+
+			const resolved = this.resolveType(typeName);
+			if (!resolved) {
+				expanded.push({ name: typeName, kind: 'unresolved' });
+				continue;
+			}
+			if (resolved.kind === 'structure' && depth > 1) {
+				resolved.expanded = this.expandTypes(resolved.fields.map((f) => f.type), depth - 1, seen);
+			}
+			expanded.push(resolved);
+		}
+		return expanded;
+	}
+
 	/**
 	 * Get event info.
 	 */
@@ -406,20 +1250,102 @@ export class DataStore {
 		return results.length > 0 ? results : null;
 	}
 
+	/**
+	 * Find APIs related to an event: its namespace's functions and functions sharing payload params.
+	 * A function shares a param when it takes a param of the same named (non-primitive) type,
+	 * or a param with the same name and type. Functions in the event's namespace rank first.
+	 * Returns { namespace, functions: [{ func, via: [payload param names] }] }.
+	 */
+	getEventRelated(evt) {
+		const related = [];
+		for (const [, func] of this.functions) {
+			if (func.isMethod) continue;
+			const via = [];
+			for (const p of evt.params) {
+				if (!p.type) continue;
+				const named = typeNamesOf(p.type).length > 0;
+				const shares = func.params.some((fp) => (named ? fp.type.replace(/\?$/, '') === p.type.replace(/\?$/, '') : fp.name === p.name && fp.type === p.type));
+				if (shares) via.push(p.name);
+			}
+			const inNamespace = evt.namespace && func.namespace === evt.namespace;
+			if (via.length > 0 || inNamespace) related.push({ func, via, inNamespace });
+		}
+
+		related.sort((a, b) => Number(b.inNamespace) - Number(a.inNamespace) || b.via.length - a.via.length || Number(a.func.deprecated) - Number(b.func.deprecated));
+		return { namespace: evt.namespace, functions: related.map(({ func, via }) => ({ func, via })) };
+	}
+
+	/**
+	 * Get a CVar by exact name (case-insensitive — the game treats CVar names that way).
+	 */
+	getCVar(name) {
+		const lowerName = name.toLowerCase();
+		return this.cvars.find((cvar) => cvar.name.toLowerCase() === lowerName) || null;
+	}
+
+	/**
+	 * Search CVars by name and description, optionally filtered by category.
+	 */
+	searchCVars(query, category) {
+		const lowerQuery = query.toLowerCase();
+		const lowerCategory = category?.toLowerCase();
+		return this.cvars.filter((cvar) => {
+			if (lowerCategory && cvar.category?.toLowerCase() !== lowerCategory) return false;
+			const searchable = [cvar.name, cvar.description].filter(Boolean).join(' ').toLowerCase();
+			return searchable.includes(lowerQuery);
+		});
+	}
+
+	/**
+	 * Get a constant by exact or case-insensitive name.
+	 */
+	getConstant(name) {
+		if (this.constants[name]) return this.constants[name];
+		const lowerName = name.toLowerCase();
+		return Object.values(this.constants).find((constant) => constant.name.toLowerCase() === lowerName) ?? null;
+	}
+
+	/**
+	 * List the constants of a `Constants.*` table (exact or case-insensitive name), sorted by name.
+	 */
+	getConstantTable(name) {
+		const lowerName = name.toLowerCase();
+		return Object.values(this.constants)
+			.filter((constant) => constant.table?.toLowerCase() === lowerName)
+			.sort((a, b) => a.name.localeCompare(b.name));
+	}
+
+	/**
+	 * Search constants by name, sorted by name. With a value, only constants with exactly that value (reverse lookup);
+	 * query may then be empty.
+	 */
+	searchConstants(query, { value } = {}) {
+		const lowerQuery = query.toLowerCase();
+		return Object.values(this.constants)
+			.filter((constant) => (value === undefined || constant.value === value) && constant.name.toLowerCase().includes(lowerQuery))
+			.sort((a, b) => a.name.localeCompare(b.name));
+	}
+
 	/**
 	 * Get stats about loaded data.
 	 */
 	getStats() {
 		const deprecatedCount = [...this.functions.values()].filter((f) => f.deprecated).length;
+		const restrictedCount = [...this.functions.values()].filter((f) => f.flags.length > 0).length;
 		return {
 			extensionVersion: this.extensionVersion,
 			totalFunctions: this.functions.size,
 			deprecatedFunctions: deprecatedCount,
+			restrictedFunctions: restrictedCount,
 			namespaces: this.namespaces.size,
 			widgetTypes: this.widgets.size,
+			structures: this.structures.size,
+			mixins: this.mixins.size,
 			enums: Object.keys(this.enums).length,
+			aliases: Object.keys(this.aliases).length,
 			events: Object.keys(this.events).length,
 			cvars: this.cvars.length,
+			constants: Object.keys(this.constants).length,
 		};
 	}
 }
@@ -0,0 +1,53 @@
+import { watch, existsSync } from 'fs';
+import { getExtensionsDirs } from './data-store.mjs';
+
+/**
+ * Watch for ketho.wow-api extension updates.
+ *
+ * Watches the extensions directories findExtensionPath() scans (a new `ketho.wow-api-*` folder appears
+ * when VS Code updates the extension) and the currently loaded extension folder itself.
+ * Bursts of file events are debounced into a single onChange() call.
+ * Watchers are unref'd so they never keep the process alive on their own.
+ * Returns { close() }.
+ */
+export function watchExtension(extensionPath, onChange, { debounceMs = 2000 } = {}) {
+	const watchers = [];
+	let timer = null;
+
+	const trigger = () => {
+		clearTimeout(timer);
+		timer = setTimeout(onChange, debounceMs);
+		timer.unref();
+	};
+
+	const tryWatch = (path, options, listener) => {
+		try {
+			const watcher = watch(path, options, listener);
+			watcher.on('error', () => {}); // Folder removed (e.g. old version uninstalled)
+			watcher.unref();
+			watchers.push(watcher);
+			return true;
+		} catch {
+			return false;
+		}
+	};
+
+	for (const dir of getExtensionsDirs()) {
+		if (dir === extensionPath || !existsSync(dir)) continue;
+		tryWatch(dir, {}, (event, filename) => {
+			if (!filename || filename.startsWith('ketho.wow-api-')) trigger();
+		});
+	}
+
+	// Recursive watching isn't available on Linux before Node 20; fall back to the extension root
+	if (extensionPath && !tryWatch(extensionPath, { recursive: true }, trigger)) {
+		tryWatch(extensionPath, {}, trigger);
+	}
+
+	return {
+		close() {
+			clearTimeout(timer);
+			for (const watcher of watchers) watcher.close();
+		},
+	};
+}
@@ -0,0 +1,277 @@
+/**
+ * Text formatters shared by the MCP tools, resources, prompts and the CLI.
+ */
+
+const FLAG_DESCRIPTIONS = {
+	protected: 'only callable from secure code; addon code calling it is blocked',
+	nocombat: 'cannot be called while in combat lockdown',
+	restrictedframe: 'restricted when called on protected frames',
+	hwevent: 'requires a hardware event (a key or mouse press)',
+};
+
+export function formatFunction(func) {
+	const lines = [];
+
+	if (func.deprecated) {
+		lines.push(`[DEPRECATED] ${func.fullName}`);
+		if (func.replacedBy) {
+			lines.push(`  Replaced by: ${func.replacedBy}`);
+			if (func.replacedByUrl) lines.push(`  Replacement docs: ${func.replacedByUrl}`);
+		}
+		if (func.deprecatedInPatch) {
+			lines.push(`  Deprecated in patch: ${func.deprecatedInPatch}`);
+		}
+	} else {
+		lines.push(func.fullName);
+	}
+
+	if (func.description) lines.push(`  Description: ${func.description}`);
+	if (func.wikiUrl) lines.push(`  Wiki: ${func.wikiUrl}`);
+	if (func.gameVersions && func.gameVersions.length > 0) {
+		lines.push(`  Game versions: ${func.gameVersions.join(', ')}`);
+	}
+	if (func.flags?.length > 0) {
+		lines.push('  Restrictions:');
+		for (const flag of func.flags) {
+			lines.push(`    #${flag} -- ${FLAG_DESCRIPTIONS[flag]}`);
+		}
+	}
+	if (func.generics?.length > 0) {
+		lines.push(`  Generics: ${func.generics.map((g) => (g.constraint ? `${g.name} : ${g.constraint}` : g.name)).join(', ')}`);
+	}
+
+	if (func.params.length > 0) {
+		lines.push('  Parameters:');
+		for (const p of func.params) {
+			const opt = p.optional && p.name !== '...' ? '?' : '';
+			const desc = p.description ? ` -- ${p.description}` : '';
+			lines.push(`    ${p.name}${opt}: ${p.type}${desc}`);
+		}
+	}
+
+	if (func.returns.length > 0) {
+		lines.push('  Returns:');
+		for (const r of func.returns) {
+			const name = r.name ? `${r.name}: ` : '';
+			const desc = r.description ? ` -- ${r.description}` : '';
+			lines.push(`    ${name}${r.type}${desc}`);
+		}
+	}
+
+	if (func.overloads?.length > 0) {
+		lines.push('  Overloads:');
+		for (const overload of func.overloads) {
+			lines.push(`    ${formatSignature(overload)}`);
+		}
+	}
+
+	return lines.join('\n');
+}
+
+/**
+ * Render params and returns as `(a: number, b?: string) -> boolean`.
+ */
+function formatSignature({ params, returns }) {
+	const paramStr = params.map((p) => (p.name ? `${p.name}${p.optional && p.name !== '...' ? '?' : ''}: ${p.type}` : p.type)).join(', ');
+	const returnStr = returns.map((r) => r.type).join(', ');
+	return `(${paramStr})${returnStr ? ` -> ${returnStr}` : ''}`;
+}
+
+const SOURCE_FIELDS = {
+	description: (d) => d.description ?? '(none)',
+	wikiUrl: (d) => d.wikiUrl ?? '(none)',
+	signature: formatSignature,
+	deprecated: (d) => (d.deprecated ? `deprecated${d.replacedBy ? ` -> ${d.replacedBy}` : ''}` : 'not deprecated'),
+	flags: (d) => d.flags.map((flag) => `#${flag}`).join(' ') || '(none)',
+};
+
+/**
+ * Render the sources of a function from DataStore.getFunctionSources(), with each source's value of every field
+ * the definitions disagree on.
+ */
+export function formatFunctionSources({ definitions, differences }) {
+	const sources = definitions.map((d) => d.source).join(', ');
+	if (definitions.length === 1) return `  Source: ${sources}`;
+	if (differences.length === 0) return `  Sources: ${sources} (definitions agree)`;
+
+	const lines = [`  Sources: ${sources}`, '  Differences:'];
+	for (const field of differences) {
+		lines.push(`    ${field}:`);
+		for (const d of definitions) {
+			lines.push(`      ${d.source}: ${SOURCE_FIELDS[field](d)}`);
+		}
+	}
+	return lines.join('\n');
+}
+
+export function formatExpandedTypes(types, indent = '    ') {
+	const lines = [];
+	for (const t of types) {
+		if (t.kind === 'enum') {
+			lines.push(`${indent}${t.name} (enum):`);
+			for (const [key, member] of Object.entries(t.values)) {
+				lines.push(`${indent}  ${formatEnumMember(key, member)}`);
+			}
+		} else if (t.kind === 'structure') {
+			lines.push(`${indent}${t.name} (structure):`);
+			for (const f of t.fields) {
+				lines.push(`${indent}  ${f.name}${f.optional ? '?' : ''}: ${f.type}${f.description ? ` -- ${f.description}` : ''}`);
+			}
+			if (t.expanded?.length > 0) lines.push(...formatExpandedTypes(t.expanded, `${indent}    `));
+		} else if (t.kind === 'alias') {
+			lines.push(`${indent}${t.name} (alias${t.definition ? ` of ${t.definition}` : ''}):`);
+			for (const v of t.values) {
+				lines.push(`${indent}  ${v.value}${v.description ? ` -- ${v.description}` : ''}`);
+			}
+			if (t.types.length > 0) lines.push(`${indent}  Also accepts: ${t.types.join(', ')}`);
+		} else if (t.kind === 'class') {
+			lines.push(`${indent}${t.name} (${t.origin === 'mixin' ? 'mixin, see get_mixin' : 'class, see get_widget_methods'})`);
+		} else {
+			lines.push(`${indent}${t.name} (unresolved)`);
+		}
+	}
+	return lines;
+}
+
+export function formatFunctionCompact(func) {
+	const dep = func.deprecated ? '[DEPRECATED] ' : '';
+	const replacement = func.replacedBy ? ` -> ${func.replacedBy}` : '';
+	const overloads = func.overloads?.length > 0 ? ` (+${func.overloads.length} overload${func.overloads.length > 1 ? 's' : ''})` : '';
+	const flags = func.flags?.length > 0 ? ` [${func.flags.map((flag) => `#${flag}`).join(' ')}]` : '';
+	return `${dep}${func.fullName}${formatSignature(func)}${overloads}${flags}${replacement}`;
+}
+
+/**
+ * Render an enum member or constant as `Key = 8`, adding the literal when it was an expression (`Key = 8 (bit.lshift(1, 3))`)
+ * and flagging literals that could not be evaluated.
+ */
+function formatEnumMember(key, { value, literal }) {
+	if (value === null) return `${key} = ${literal} (could not evaluate)`;
+	if (typeof value === 'string' || literal === String(value)) return `${key} = ${literal}`;
+	return `${key} = ${value} (${literal})`;
+}
+
+export function formatConstant(constant) {
+	return `${formatEnumMember(constant.name, constant)}${constant.deprecated ? ' [DEPRECATED]' : ''}`;
+}
+
+export function formatEnum(name, values) {
+	const lines = [`${name}:`];
+	for (const [key, member] of Object.entries(values)) {
+		lines.push(`  ${formatEnumMember(key, member)}`);
+	}
+	if (lines.length === 1) lines.push('  (no members; the annotations do not define it as a table)');
+	const unevaluated = Object.values(values).filter((member) => member.value === null).length;
+	if (unevaluated > 0) lines.push(`  (${unevaluated} value${unevaluated > 1 ? 's' : ''} could not be evaluated and ${unevaluated > 1 ? 'are' : 'is'} shown as written)`);
+	return lines.join('\n');
+}
+
+/**
+ * Render a resolved type from DataStore.getType(): alias values, enum values, structure fields or a class pointer.
+ */
+export function formatType(type) {
+	if (type.kind === 'enum') return formatEnum(type.name, type.values);
+	if (type.kind === 'class') return type.origin === 'mixin' ? `${type.name} (mixin)\nUse get_mixin for its methods.` : `${type.name} (class)\nUse get_widget_methods for its methods.`;
+
+	const lines = [];
+	if (type.kind === 'alias') {
+		lines.push(`${type.name} (alias${type.definition ? ` of ${type.definition}` : ''})`);
+		if (type.description) lines.push(`  Description: ${type.description}`);
+		if (type.values.length > 0) {
+			lines.push(`  Values (${type.values.length}):`);
+			for (const v of type.values) {
+				const from = v.from ? ` [from ${v.from}]` : '';
+				lines.push(`    ${v.value}${v.description ? ` -- ${v.description}` : ''}${from}`);
+			}
+		}
+		if (type.types.length > 0) lines.push(`  Also accepts: ${type.types.join(', ')}`);
+	} else {
+		lines.push(`${type.name} (structure)`);
+		for (const f of type.fields) {
+			lines.push(`  ${f.name}${f.optional ? '?' : ''}: ${f.type}${f.description ? ` -- ${f.description}` : ''}`);
+		}
+	}
+	return lines.join('\n');
+}
+
+/**
+ * Render an event: payload, namespace and related functions (see DataStore.getEventRelated()).
+ * relatedPage { items, total, note } picks the related functions to list, note describing the page;
+ * without it the first 20 are listed.
+ */
+export function formatEvent(store, evt, relatedPage = null) {
+	const lines = [`Event: ${evt.name}`];
+	if (evt.params.length > 0) {
+		lines.push('Payload:');
+		for (const p of evt.params) {
+			const type = p.type ? `: ${p.type}${p.inferred ? ' (inferred)' : ''}` : '';
+			lines.push(`  ${p.name}${p.optional ? '?' : ''}${type}`);
+		}
+	} else {
+		lines.push('No payload parameters');
+	}
+
+	if (evt.namespace) lines.push(`Namespace: ${evt.namespace}`);
+	let page = relatedPage;
+	if (!page) {
+		const { functions } = store.getEventRelated(evt);
+		const items = functions.slice(0, 20);
+		page = { items, total: functions.length, note: functions.length > items.length ? ` (showing first ${items.length})` : '' };
+	}
+	if (page.total > 0) {
+		lines.push(`\nRelated functions (${page.total})${page.note}:`);
+		for (const { func, via } of page.items) {
+			const viaStr = via.length > 0 ? ` -- takes ${via.join(', ')}` : '';
+			lines.push(`  ${formatFunctionCompact(func)}${viaStr}`);
+		}
+	}
+
+	return lines.join('\n');
+}
+
+/**
+ * Render a @class: name, parents, wiki link and fields. label names the kind of class, e.g. "Widget" or "Mixin".
+ */
+export function formatWidgetClassInfo(classInfo, label = 'Widget') {
+	const lines = [`${label}: ${classInfo.name}`];
+	if (classInfo.inherits?.length > 0) {
+		lines.push(`Inherits: ${classInfo.inherits.join(', ')}`);
+	}
+	if (classInfo.wikiUrl) {
+		lines.push(`Wiki: ${classInfo.wikiUrl}`);
+	}
+	if (classInfo.fields?.length > 0) {
+		lines.push('\nFields:');
+		for (const f of classInfo.fields) {
+			lines.push(`  ${f.name}${f.optional ? '?' : ''}: ${f.type}${f.description ? ` -- ${f.description}` : ''}`);
+		}
+	}
+	return lines.join('\n');
+}
+
+export function formatWidget(widget, label = 'Widget') {
+	const lines = [];
+	if (widget.classInfo) lines.push(formatWidgetClassInfo(widget.classInfo, label));
+	if (widget.methods?.length > 0) {
+		lines.push(`\nMethods (${widget.methods.length}):\n`);
+		for (const m of widget.methods) {
+			lines.push(formatFunction(m));
+			lines.push('');
+		}
+	}
+	return lines.join('\n');
+}
+
+export function didYouMean(store, query, kind) {
+	const suggestions = store.suggest(query, kind);
+	return suggestions.length > 0 ? ` Did you mean: ${suggestions.join(', ')}?` : '';
+}
+
+export function formatCVar(cvar) {
+	const lines = [cvar.name];
+	if (cvar.description) lines.push(`  Description: ${cvar.description}`);
+	if (cvar.default !== null) lines.push(`  Default: ${cvar.default}`);
+	if (cvar.category) lines.push(`  Category: ${cvar.category}`);
+	if (cvar.scope) lines.push(`  Scope: ${cvar.scope}`);
+	return lines.join('\n');
+}
@@ -0,0 +1,121 @@
+import { randomUUID } from 'crypto';
+import { createServer } from 'http';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * Serve MCP over Streamable HTTP, so several clients can share one server process.
+ *
+ * - POST/GET/DELETE /mcp: MCP endpoint. An initialize request without an `mcp-session-id` header starts a
+ *   session with its own transport and McpServer (from connectSession); later requests are routed by that header.
+ * - GET /health: JSON status from health().
+ *
+ * When bound to a loopback host, requests with a foreign Host header are rejected (DNS rebinding protection).
+ */
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+function sendJson(res, status, body) {
+	res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+}
+
+function sendRpcError(res, status, code, message) {
+	sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+}
+
+function readJsonBody(req) {
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		let size = 0;
+		req.on('data', (chunk) => {
+			size += chunk.length;
+			if (size > MAX_BODY_BYTES) {
+				reject(new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`));
+				req.destroy();
+				return;
+			}
+			chunks.push(chunk);
+		});
+		req.on('end', () => {
+			try {
+				resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8')));
+			} catch {
+				reject(new Error('Request body is not valid JSON'));
+			}
+		});
+		req.on('error', reject);
+	});
+}
+
+/**
+ * Start the HTTP server. connectSession(transport) must connect a new McpServer to the transport.
+ * Resolves with { httpServer, sessions } once listening; sessions maps session ID -> transport.
+ */
+export function startHttpServer({ port, host = '127.0.0.1', connectSession, health }) {
+	const sessions = new Map();
+	const allowedHosts = LOOPBACK_HOSTS.includes(host) ? ['127.0.0.1', 'localhost', '[::1]'].map((h) => `${h}:${port}`) : undefined;
+
+	const handleMcp = async (req, res) => {
+		const sessionId = req.headers['mcp-session-id'];
+		if (sessionId) {
+			const transport = sessions.get(sessionId);
+			if (!transport) {
+				sendRpcError(res, 404, -32001, `Session not found: ${sessionId}`);
+				return;
+			}
+			await transport.handleRequest(req, res);
+			return;
+		}
+
+		if (req.method !== 'POST') {
+			sendRpcError(res, 400, -32000, 'Missing mcp-session-id header. Start a session with an initialize request.');
+			return;
+		}
+
+		let body;
+		try {
+			body = await readJsonBody(req);
+		} catch (err) {
+			sendRpcError(res, 400, -32700, err.message);
+			return;
+		}
+		if (!isInitializeRequest(body)) {
+			sendRpcError(res, 400, -32000, 'Missing mcp-session-id header. Start a session with an initialize request.');
+			return;
+		}
+
+		const transport = new StreamableHTTPServerTransport({
+			sessionIdGenerator: () => randomUUID(),
+			onsessioninitialized: (id) => sessions.set(id, transport),
+			enableDnsRebindingProtection: !!allowedHosts,
+			allowedHosts,
+		});
+		transport.onclose = () => {
+			if (transport.sessionId) sessions.delete(transport.sessionId);
+		};
+		await connectSession(transport);
+		await transport.handleRequest(req, res, body);
+		if (!transport.sessionId) await transport.close(); // Initialize was rejected, e.g. bad Host header
+	};
+
+	const httpServer = createServer(async (req, res) => {
+		const { pathname } = new URL(req.url, 'http://localhost');
+		try {
+			if (pathname === '/health' && req.method === 'GET') {
+				sendJson(res, 200, { status: 'ok', sessions: sessions.size, ...health() });
+			} else if (pathname === '/mcp') {
+				await handleMcp(req, res);
+			} else {
+				sendJson(res, 404, { error: `Not found: ${pathname}. The MCP endpoint is /mcp.` });
+			}
+		} catch (err) {
+			if (!res.headersSent) sendRpcError(res, 500, -32603, err.message);
+		}
+	});
+
+	return new Promise((resolve, reject) => {
+		httpServer.once('error', reject);
+		httpServer.listen(port, host, () => resolve({ httpServer, sessions }));
+	});
+}
@@ -0,0 +1,117 @@
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, readdirSync, statSync, mkdirSync, renameSync, rmSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * On-disk cache of the parsed DataStore index, so startup can skip reparsing the annotations.
+ *
+ * One cache file per extension path. A cache entry is only used when all of these still match:
+ * - the extension version from its package.json
+ * - the path, size and mtime of every annotation/data file (fingerprint)
+ * - the source of this server's own modules, so parser changes invalidate old caches
+ *
+ * Cache directory: WOW_API_CACHE_DIR, else %LOCALAPPDATA%/wow-api-mcp/cache on Windows,
+ * else $XDG_CACHE_HOME/wow-api-mcp or ~/.cache/wow-api-mcp.
+ */
+
+const SRC_DIR = dirname(fileURLToPath(import.meta.url));
+
+function getCacheDir() {
+	if (process.env.WOW_API_CACHE_DIR) return process.env.WOW_API_CACHE_DIR;
+	if (process.env.LOCALAPPDATA) return join(process.env.LOCALAPPDATA, 'wow-api-mcp', 'cache');
+	const homeDir = process.env.USERPROFILE || process.env.HOME;
+	return join(process.env.XDG_CACHE_HOME || join(homeDir, '.cache'), 'wow-api-mcp');
+}
+
+function getCachePath(extPath) {
+	const key = createHash('sha1').update(extPath).digest('hex').slice(0, 16);
+	return join(getCacheDir(), `index-${key}.json`);
+}
+
+/**
+ * Hash path, size and mtime of every file under the given directories.
+ */
+function fingerprintFiles(dirs, hash = createHash('sha1')) {
+	const walk = (dir) => {
+		let entries;
+		try {
+			entries = readdirSync(dir).sort();
+		} catch {
+			return; // Directory doesn't exist
+		}
+		for (const entry of entries) {
+			const fullPath = join(dir, entry);
+			let stat;
+			try {
+				stat = statSync(fullPath);
+			} catch {
+				continue; // Removed while walking (e.g. mid-update)
+			}
+			if (stat.isDirectory()) {
+				walk(fullPath);
+			} else {
+				hash.update(`${fullPath}\0${stat.size}\0${stat.mtimeMs}\n`);
+			}
+		}
+	};
+	for (const dir of dirs) walk(dir);
+	return hash;
+}
+
+/**
+ * Fingerprint an extension's annotation/data files plus this server's source.
+ */
+export function fingerprintExtension(extPath) {
+	const hash = fingerprintFiles([join(extPath, 'Annotations'), join(extPath, 'out', 'data')]);
+	const walkSource = (dir) => {
+		for (const entry of readdirSync(dir).sort()) {
+			const fullPath = join(dir, entry);
+			if (statSync(fullPath).isDirectory()) walkSource(fullPath);
+			else if (entry.endsWith('.mjs')) hash.update(readFileSync(fullPath));
+		}
+	};
+	walkSource(SRC_DIR);
+	return hash.digest('hex');
+}
+
+/**
+ * Read the cached index for an extension. Returns the serialized data, or null on a miss.
+ */
+export function readCache(extPath, extensionVersion, fingerprint) {
+	try {
+		const cached = JSON.parse(readFileSync(getCachePath(extPath), 'utf-8'));
+		if (cached.extPath === extPath && cached.extensionVersion === extensionVersion && cached.fingerprint === fingerprint) {
+			return cached.data;
+		}
+	} catch {
+		// No cache yet, or unreadable — treat as a miss
+	}
+	return null;
+}
+
+/**
+ * Write the serialized index for an extension. Failures are ignored; the cache is only an optimization.
+ */
+export function writeCache(extPath, extensionVersion, fingerprint, data) {
+	const cachePath = getCachePath(extPath);
+	try {
+		mkdirSync(dirname(cachePath), { recursive: true });
+		const tmpPath = `${cachePath}.${process.pid}.tmp`;
+		writeFileSync(tmpPath, JSON.stringify({ extPath, extensionVersion, fingerprint, data }));
+		renameSync(tmpPath, cachePath);
+	} catch {
+		// Read-only or missing cache dir
+	}
+}
+
+/**
+ * Delete every cached index.
+ */
+export function clearCache() {
+	const cacheDir = getCacheDir();
+	if (!existsSync(cacheDir)) return;
+	for (const entry of readdirSync(cacheDir)) {
+		if (entry.startsWith('index-')) rmSync(join(cacheDir, entry), { force: true });
+	}
+}
@@ -1,283 +1,397 @@
 #!/usr/bin/env node
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { completable } from '@modelcontextprotocol/sdk/server/completable.js';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { ErrorCode, ListResourcesRequestSchema, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { Worker } from 'worker_threads';
 import { z } from 'zod';
-import { DataStore } from './data-store.mjs';
+import { findCommand, runCli } from './cli.mjs';
+import { DataStore, findExtensionPath } from './data-store.mjs';
+import { watchExtension } from './extension-watcher.mjs';
+import { didYouMean, formatEnum, formatEvent, formatFunction, formatFunctionCompact, formatWidget, formatWidgetClassInfo } from './format.mjs';
+import { startHttpServer } from './http-server.mjs';
+import { clearCache, fingerprintExtension } from './index-cache.mjs';
+import { GAME_FLAVORS } from './parsers/ts-data.mjs';
+import { runTool, TOOLS } from './tools.mjs';
+
+// ---- CLI flags ----
+// --no-cache: parse the extension without reading or writing the index cache
+// --clear-cache: delete cached indexes before loading (the cache is rebuilt)
+// --no-watch: don't hot reload when the extension updates
+// --http <port> [--host <address>]: serve Streamable HTTP sessions instead of stdio (host defaults to 127.0.0.1)
+const args = process.argv.slice(2);
+const useCache = !args.includes('--no-cache');
+if (args.includes('--clear-cache')) {
+	clearCache();
+}
 
-// ---- Initialize data store ----
-const store = new DataStore();
-store.load();
-const stats = store.getStats();
+const flagValue = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+const httpPort = args.includes('--http') ? Number(flagValue('--http')) : null;
+const httpHost = flagValue('--host') || '127.0.0.1';
+if (httpPort !== null && !(Number.isInteger(httpPort) && httpPort > 0 && httpPort < 65536)) {
+	console.error(`Invalid --http port "${flagValue('--http') ?? ''}". Usage: wow-api-mcp --http <port> [--host <address>]`);
+	process.exit(2);
+}
 
-// ---- Format helpers ----
+// ---- CLI commands ----
+// `wow-api-mcp [flags] <command> [args]` runs a single query and exits (see cli.mjs); without one the MCP server starts.
+// The exit code is set rather than passed to process.exit(), which could cut off output still being piped.
+const cliMode = findCommand(args, { http: { type: 'string' }, host: { type: 'string' } }) !== null || args.includes('--help') || args.includes('-h');
+if (cliMode) {
+	process.exitCode = await runCli(args, { useCache });
+}
 
-function formatFunction(func) {
-	const lines = [];
+// ---- Data store ----
+// Loaded when the server starts and reassigned by hot reload; tool handlers read it on every call
+let store = null;
 
-	if (func.deprecated) {
-		lines.push(`[DEPRECATED] ${func.fullName}`);
-		if (func.replacedBy) {
-			lines.push(`  Replaced by: ${func.replacedBy}`);
-			if (func.replacedByUrl) lines.push(`  Replacement docs: ${func.replacedByUrl}`);
-		}
-		if (func.deprecatedInPatch) {
-			lines.push(`  Deprecated in patch: ${func.deprecatedInPatch}`);
-		}
-	} else {
-		lines.push(func.fullName);
-	}
+// ---- MCP Server ----
+// One McpServer per connection (the stdio client, or each HTTP session), all reading the shared store
+
+const servers = new Set(); // connected servers, for logging and hot reload notifications
+
+function createServer() {
+	const stats = store.getStats();
+	const server = new McpServer({
+		name: 'wow-api',
+		version: '1.0.0',
+		description: `WoW API reference server (${stats.totalFunctions} functions, ${stats.deprecatedFunctions} deprecated, ${stats.namespaces} namespaces, ${stats.enums} enums, ${stats.events} events)`,
+	}, { capabilities: { logging: {} } });
+
+	registerTools(server);
+	registerResources(server);
+	registerPrompts(server);
+	return server;
+}
 
-	if (func.description) lines.push(`  Description: ${func.description}`);
-	if (func.wikiUrl) lines.push(`  Wiki: ${func.wikiUrl}`);
-	if (func.gameVersions && func.gameVersions.length > 0) {
-		lines.push(`  Game versions: ${func.gameVersions.join(', ')}`);
-	}
+/**
+ * Create a server for a new connection and track it while it stays connected.
+ */
+async function connectServer(transport) {
+	const server = createServer();
+	server.server.onclose = () => servers.delete(server);
+	await server.connect(transport);
+	servers.add(server);
+}
 
-	if (func.params.length > 0) {
-		lines.push('  Parameters:');
-		for (const p of func.params) {
-			const opt = p.optional ? '?' : '';
-			const desc = p.description ? ` -- ${p.description}` : '';
-			lines.push(`    ${p.name}${opt}: ${p.type}${desc}`);
-		}
-	}
+// ---- Tools ----
+// Defined in tools.mjs, shared with the CLI
 
-	if (func.returns.length > 0) {
-		lines.push('  Returns:');
-		for (const r of func.returns) {
-			const name = r.name ? `${r.name}: ` : '';
-			const desc = r.description ? ` -- ${r.description}` : '';
-			lines.push(`    ${name}${r.type}${desc}`);
-		}
+function registerTools(server) {
+	for (const tool of TOOLS) {
+		const { name, description, inputSchema, outputSchema } = tool;
+		server.registerTool(name, { description, inputSchema, outputSchema }, async (toolArgs) => {
+			const { text, structured } = await runTool(tool, store, toolArgs, { useCache });
+			return { content: [{ type: 'text', text }], structuredContent: structured };
+		});
 	}
-
-	return lines.join('\n');
-}
-
-function formatFunctionCompact(func) {
-	const dep = func.deprecated ? '[DEPRECATED] ' : '';
-	const replacement = func.replacedBy ? ` -> ${func.replacedBy}` : '';
-	const params = func.params.map((p) => `${p.name}${p.optional ? '?' : ''}: ${p.type}`).join(', ');
-	const returns = func.returns.map((r) => r.type).join(', ');
-	const retStr = returns ? ` -> ${returns}` : '';
-	return `${dep}${func.fullName}(${params})${retStr}${replacement}`;
 }
 
-// ---- MCP Server ----
+// ---- Resources ----
+// Stable wowapi:// URIs backed by the same store queries as the tools, so clients can browse
+// the API and attach docs to context. resources/list is paginated with an opaque offset cursor.
 
-const server = new McpServer({
-	name: 'wow-api',
-	version: '1.0.0',
-	description: `WoW API reference server (${stats.totalFunctions} functions, ${stats.deprecatedFunctions} deprecated, ${stats.namespaces} namespaces, ${stats.enums} enums, ${stats.events} events)`,
-});
+const RESOURCE_PAGE_SIZE = 500;
 
-// Tool: lookup_api
-server.tool(
-	'lookup_api',
-	'Look up a WoW API function by name (exact or partial match). Returns full signature, params, returns, deprecation status, replacement, wiki link, game versions.',
+const RESOURCE_KINDS = [
 	{
-		name: z.string().describe('Function name to look up (e.g. "IsSpellKnown", "C_SpellBook.IsSpellKnown")'),
+		kind: 'namespace',
+		variable: 'name',
+		description: 'All functions in a WoW API namespace (e.g. wowapi://namespace/C_SpellBook)',
+		names: () => store.listNamespaces(),
+		read: (name) => {
+			const functions = store.getNamespace(name);
+			return functions.length > 0 ? [`Namespace: ${functions[0].namespace} (${functions.length} functions)\n`, ...functions.map(formatFunction)].join('\n\n') : null;
+		},
 	},
-	async ({ name }) => {
-		const results = store.lookupApi(name);
-		if (results.length === 0) {
-			return { content: [{ type: 'text', text: `No API function found matching "${name}".` }] };
-		}
-
-		const text = results.map(formatFunction).join('\n\n---\n\n');
-		return { content: [{ type: 'text', text }] };
-	}
-);
-
-// Tool: search_api
-server.tool(
-	'search_api',
-	'Search WoW API functions by keyword. Searches function names and descriptions. Returns up to 50 results.',
 	{
-		query: z.string().describe('Search query (e.g. "spell", "unit frame", "achievement")'),
+		kind: 'function',
+		variable: 'fullName',
+		description: 'A WoW API function or widget method (e.g. wowapi://function/C_SpellBook.IsSpellKnown)',
+		names: () => [...store.functions.keys()],
+		read: (name) => {
+			const func = store.functions.get(name);
+			return func ? formatFunction(func) : null;
+		},
 	},
-	async ({ query }) => {
-		const results = store.searchApi(query);
-		if (results.length === 0) {
-			return { content: [{ type: 'text', text: `No API functions found matching "${query}".` }] };
-		}
-
-		const text = [`Found ${results.length} result(s) for "${query}":\n`, ...results.map(formatFunctionCompact)].join('\n');
-		return { content: [{ type: 'text', text }] };
-	}
-);
-
-// Tool: list_deprecated
-server.tool(
-	'list_deprecated',
-	'List all deprecated WoW API functions with their replacements. Optionally filter by namespace or function name.',
 	{
-		filter: z.string().optional().describe('Optional filter by namespace or function name (e.g. "Spell", "Item", "Guild")'),
+		kind: 'enum',
+		variable: 'name',
+		description: 'A WoW enum and its values (e.g. wowapi://enum/Enum.PowerType)',
+		names: () => Object.keys(store.enums),
+		read: (name) => (store.enums[name] ? formatEnum(name, store.enums[name]) : null),
+	},
+	{
+		kind: 'event',
+		variable: 'name',
+		description: 'A WoW frame event, its payload and related functions (e.g. wowapi://event/PLAYER_LOGIN)',
+		names: () => Object.keys(store.events),
+		read: (name) => (store.events[name] ? formatEvent(store, store.events[name]) : null),
+	},
+	{
+		kind: 'widget',
+		variable: 'name',
+		description: 'A WoW UI widget class and its methods (e.g. wowapi://widget/Frame)',
+		names: () => store.listWidgets(),
+		read: (name) => (store.widgets.has(name) ? formatWidget(store.widgets.get(name)) : null),
 	},
-	async ({ filter }) => {
-		const results = store.listDeprecated(filter);
-		if (results.length === 0) {
-			const filterMsg = filter ? ` matching "${filter}"` : '';
-			return { content: [{ type: 'text', text: `No deprecated functions found${filterMsg}.` }] };
-		}
-
-		const lines = [`${results.length} deprecated function(s)${filter ? ` matching "${filter}"` : ''}:\n`];
-		for (const func of results) {
-			const replacement = func.replacedBy ? ` -> ${func.replacedBy}` : ' (no replacement listed)';
-			const patch = func.deprecatedInPatch ? ` [patch ${func.deprecatedInPatch}]` : '';
-			lines.push(`${func.fullName}${replacement}${patch}`);
-		}
-
-		return { content: [{ type: 'text', text: lines.join('\n') }] };
-	}
-);
-
-// Tool: get_namespace
-server.tool(
-	'get_namespace',
-	'Get all functions in a WoW API namespace (e.g. "C_SpellBook", "C_Item"). Pass "list" to see all available namespaces.',
 	{
-		name: z.string().describe('Namespace name (e.g. "C_SpellBook") or "list" to see all namespaces'),
+		kind: 'structure',
+		variable: 'name',
+		description: 'A Blizzard API structure and its fields (e.g. wowapi://structure/SpellInfo)',
+		names: () => store.listStructures(),
+		read: (name) => (store.structures.has(name) ? formatWidgetClassInfo(store.structures.get(name), 'Structure') : null),
 	},
-	async ({ name }) => {
-		if (name.toLowerCase() === 'list') {
-			const namespaces = store.listNamespaces();
-			return { content: [{ type: 'text', text: `${namespaces.length} namespaces:\n\n${namespaces.join('\n')}` }] };
+	{
+		kind: 'mixin',
+		variable: 'name',
+		description: 'A FrameXML mixin and its methods (e.g. wowapi://mixin/ItemLocationMixin)',
+		names: () => store.listMixins(),
+		read: (name) => (store.mixins.has(name) ? formatWidget(store.mixins.get(name), 'Mixin') : null),
+	},
+];
+
+function registerResources(server) {
+	for (const { kind, variable, description, names, read } of RESOURCE_KINDS) {
+		const template = new ResourceTemplate(`wowapi://${kind}/{${variable}}`, {
+			list: undefined, // listed by the paginated resources/list handler below
+			complete: {
+				[variable]: (value) => {
+					const lowerValue = value.toLowerCase();
+					return names()
+						.filter((name) => name.toLowerCase().startsWith(lowerValue))
+						.slice(0, 100);
+				},
+			},
+		});
+
+		server.resource(kind, template, { description, mimeType: 'text/plain' }, async (uri, variables) => {
+			const name = decodeURIComponent(variables[variable]);
+			const text = read(name);
+			if (!text) {
+				throw new McpError(ErrorCode.InvalidParams, `No ${kind} named "${name}".${didYouMean(store, name, kind)}`);
+			}
+			return { contents: [{ uri: uri.href, mimeType: 'text/plain', text }] };
+		});
+	}
+
+	server.server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+		const all = [];
+		for (const { kind, names } of RESOURCE_KINDS) {
+			for (const name of names()) {
+				all.push({ uri: `wowapi://${kind}/${encodeURIComponent(name)}`, name: `${kind}: ${name}`, mimeType: 'text/plain' });
+			}
 		}
 
-		const functions = store.getNamespace(name);
-		if (functions.length === 0) {
-			return { content: [{ type: 'text', text: `No namespace found matching "${name}". Use name="list" to see all namespaces.` }] };
+		const cursor = request.params?.cursor;
+		const offset = cursor ? Number(Buffer.from(cursor, 'base64url').toString()) : 0;
+		if (!Number.isInteger(offset) || offset < 0) {
+			throw new McpError(ErrorCode.InvalidParams, `Invalid cursor "${cursor}".`);
 		}
 
-		const text = [`Namespace: ${functions[0]?.namespace || name} (${functions.length} functions)\n`, ...functions.map(formatFunction)].join('\n\n');
-		return { content: [{ type: 'text', text }] };
-	}
-);
+		const end = offset + RESOURCE_PAGE_SIZE;
+		const nextCursor = end < all.length ? Buffer.from(String(end)).toString('base64url') : undefined;
+		return { resources: all.slice(offset, end), ...(nextCursor && { nextCursor }) };
+	});
+}
 
-// Tool: get_widget_methods
-server.tool(
-	'get_widget_methods',
-	'Get all methods for a WoW UI widget class (e.g. "Frame", "Button", "ScriptRegion"). Pass "list" to see all widget types.',
-	{
-		widget_type: z.string().describe('Widget type name (e.g. "Frame", "Button") or "list" to see all widget types'),
-	},
-	async ({ widget_type }) => {
-		if (widget_type.toLowerCase() === 'list') {
-			const widgets = store.listWidgets();
-			return { content: [{ type: 'text', text: `${widgets.length} widget types:\n\n${widgets.join('\n')}` }] };
-		}
+// ---- Prompts ----
+// Workflow prompts that embed the relevant store data (deprecations, payloads, flavor availability)
+// alongside the user's input, so the model doesn't have to look it up first.
 
-		const widget = store.getWidgetMethods(widget_type);
-		if (!widget) {
-			return { content: [{ type: 'text', text: `No widget type found matching "${widget_type}". Use widget_type="list" to see all types.` }] };
-		}
+function promptResult(description, text) {
+	return { description, messages: [{ role: 'user', content: { type: 'text', text } }] };
+}
 
-		const lines = [];
-		if (widget.classInfo) {
-			lines.push(`Widget: ${widget.classInfo.name}`);
-			if (widget.classInfo.inherits?.length > 0) {
-				lines.push(`Inherits: ${widget.classInfo.inherits.join(', ')}`);
+function registerPrompts(server) {
+	// Prompt: migrate_deprecated
+	server.prompt(
+		'migrate_deprecated',
+		'Migrate Lua code off deprecated WoW APIs, with each deprecated call\'s replacement and its signature embedded.',
+		{
+			code: z.string().describe('Lua source to migrate'),
+		},
+		({ code }) => {
+			const calls = store.findDeprecatedCalls(code);
+			const lines = ['Rewrite this World of Warcraft addon Lua code so it no longer uses deprecated API functions.', '', '```lua', code, '```', ''];
+
+			if (calls.length === 0) {
+				lines.push('No calls to deprecated API functions were found in this code. Point out anything else that looks outdated, but keep the code as is otherwise.');
+				return promptResult('No deprecated calls found', lines.join('\n'));
 			}
-			if (widget.classInfo.wikiUrl) {
-				lines.push(`Wiki: ${widget.classInfo.wikiUrl}`);
+
+			lines.push(`Deprecated calls found (${calls.length}):`);
+			for (const { line, func } of calls) {
+				const patch = func.deprecatedInPatch ? ` [deprecated in ${func.deprecatedInPatch}]` : '';
+				const replacement = func.replacedBy ? '' : ' (no replacement listed)';
+				lines.push(`- line ${line}: ${formatFunctionCompact(func)}${patch}${replacement}`);
 			}
-			if (widget.classInfo.fields?.length > 0) {
-				lines.push('\nFields:');
-				for (const f of widget.classInfo.fields) {
-					lines.push(`  ${f.name}${f.optional ? '?' : ''}: ${f.type}${f.description ? ` -- ${f.description}` : ''}`);
+
+			const replacements = [...new Set(calls.map((c) => c.func.replacedBy).filter(Boolean))];
+			if (replacements.length > 0) {
+				lines.push('', 'Replacement API reference:', '');
+				for (const name of replacements) {
+					const [replacement] = store.lookupApi(name);
+					lines.push(replacement && replacement.fullName === name ? formatFunction(replacement) : `${name} (not found in the API data)`, '');
 				}
 			}
-		}
 
-		if (widget.methods?.length > 0) {
-			lines.push(`\nMethods (${widget.methods.length}):\n`);
-			for (const m of widget.methods) {
-				lines.push(formatFunction(m));
-				lines.push('');
-			}
+			lines.push('Replace each deprecated call with its replacement. Where parameters or return values differ (for example a table returned instead of multiple values), adapt the surrounding code and explain the change. Leave calls without a listed replacement in place with a comment.');
+			return promptResult(`${calls.length} deprecated call(s) to migrate`, lines.join('\n'));
 		}
+	);
+
+	// Prompt: event_handler
+	server.prompt(
+		'event_handler',
+		'Write a WoW frame event handler for the given events, with each event\'s payload parameters embedded.',
+		{
+			events: completable(z.string().describe('Comma-separated event names (e.g. "PLAYER_LOGIN, UNIT_SPELLCAST_SUCCEEDED")'), (value) => {
+				// Complete the last name in the list, keeping the ones already typed
+				const parts = value.split(',');
+				const prefix = parts.pop().trim().toUpperCase();
+				const head = parts.map((part) => `${part.trim()}, `).join('');
+				return Object.keys(store.events)
+					.filter((name) => name.startsWith(prefix))
+					.slice(0, 100)
+					.map((name) => head + name);
+			}),
+		},
+		({ events }) => {
+			const names = events
+				.split(',')
+				.map((name) => name.trim().toUpperCase())
+				.filter(Boolean);
+			const lines = ['Write a World of Warcraft addon event handler in Lua that registers and handles these events.', 'Use a frame with RegisterEvent and an OnEvent script that dispatches by event name, unpacking each payload into named locals.', ''];
+
+			for (const name of names) {
+				const evt = store.events[name];
+				if (evt) {
+					lines.push(formatEvent(store, evt), '');
+				} else {
+					lines.push(`Event: ${name} -- not found in the API data.${didYouMean(store, name, 'event')}`, '');
+				}
+			}
 
-		return { content: [{ type: 'text', text: lines.join('\n') }] };
-	}
-);
-
-// Tool: get_enum
-server.tool(
-	'get_enum',
-	'Look up a WoW enum and its values (e.g. "Enum.SpellBookSpellBank"). Supports partial name matching.',
-	{
-		name: z.string().describe('Enum name (e.g. "Enum.SpellBookSpellBank", "SpellBookSpellBank")'),
-	},
-	async ({ name }) => {
-		const result = store.getEnum(name);
-		if (!result) {
-			// Try searching
-			const searchResults = store.searchEnums(name);
-			if (Object.keys(searchResults).length === 0) {
-				return { content: [{ type: 'text', text: `No enum found matching "${name}".` }] };
+			return promptResult(`Event handler for ${names.join(', ')}`, lines.join('\n'));
+		}
+	);
+
+	// Prompt: port_addon
+	server.prompt(
+		'port_addon',
+		'Port addon Lua code to another game flavor (Mainline, Vanilla, Mists), with the availability of every API it calls embedded.',
+		{
+			code: z.string().describe('Lua source to port'),
+			flavor: completable(z.string().describe('Target flavor: Mainline, Vanilla or Mists'), (value) => GAME_FLAVORS.filter((f) => f.toLowerCase().startsWith(value.toLowerCase()))),
+		},
+		({ code, flavor }) => {
+			const target = GAME_FLAVORS.find((f) => f.toLowerCase() === flavor.trim().toLowerCase());
+			if (!target) {
+				throw new McpError(ErrorCode.InvalidParams, `Unknown flavor "${flavor}". Use one of: ${GAME_FLAVORS.join(', ')}.`);
 			}
 
-			const lines = [`Enums matching "${name}":\n`];
-			for (const [enumName, values] of Object.entries(searchResults)) {
-				lines.push(`${enumName}:`);
-				for (const [key, val] of Object.entries(values)) {
-					lines.push(`  ${key} = ${val}`);
+			const missing = store.findFlavorIssues(code, [target]);
+			const deprecated = store.findDeprecatedCalls(code);
+			const lines = [`Port this World of Warcraft addon Lua code to the ${target} game flavor.`, '', '```lua', code, '```', ''];
+
+			if (missing.length === 0) {
+				lines.push(`Every API call with flavor data is available in ${target}.`);
+			} else {
+				lines.push(`API calls not available in ${target} (${missing.length}):`);
+				for (const { line, func } of missing) {
+					lines.push(`- line ${line}: ${formatFunctionCompact(func)} -- available in ${func.gameVersions.join(', ')}`);
 				}
-				lines.push('');
 			}
-			return { content: [{ type: 'text', text: lines.join('\n') }] };
-		}
 
-		// Direct match - could be { key: value } or { enumName: { key: value } }
-		const lines = [];
-		if (typeof Object.values(result)[0] === 'object') {
-			// Multiple enums matched
-			for (const [enumName, values] of Object.entries(result)) {
-				lines.push(`${enumName}:`);
-				for (const [key, val] of Object.entries(values)) {
-					lines.push(`  ${key} = ${val}`);
+			if (deprecated.length > 0) {
+				lines.push('', 'Deprecated calls (check whether the replacement exists in the target flavor):');
+				for (const { line, func } of deprecated) {
+					const replacement = func.replacedBy ? store.functions.get(func.replacedBy) : null;
+					const availability = replacement?.gameVersions.length > 0 ? ` (replacement available in ${replacement.gameVersions.join(', ')})` : '';
+					lines.push(`- line ${line}: ${func.fullName}${func.replacedBy ? ` -> ${func.replacedBy}` : ''}${availability}`);
 				}
-				lines.push('');
-			}
-		} else {
-			lines.push(`${name}:`);
-			for (const [key, val] of Object.entries(result)) {
-				lines.push(`  ${key} = ${val}`);
 			}
+
+			lines.push('', `Rewrite the code so it runs on ${target}: replace unavailable calls with ${target} equivalents, or guard them behind a flavor check (WOW_PROJECT_ID) when the addon ships to several flavors. Explain each change.`);
+			return promptResult(`Port to ${target}: ${missing.length} unavailable call(s)`, lines.join('\n'));
 		}
+	);
+}
+
+// ---- Hot reload ----
+// Rebuild the store in a worker thread when the extension updates, then swap it in.
+// Connections stay up; every connected client is told the tools, resources and prompts changed.
+
+let extensionWatcher = null;
+let reloading = false;
+let reloadQueued = false;
 
-		return { content: [{ type: 'text', text: lines.join('\n') }] };
+function log(level, message) {
+	console.error(`[wow-api] ${message}`);
+	for (const server of servers) {
+		server.sendLoggingMessage({ level, logger: 'wow-api', data: message }).catch(() => {});
 	}
-);
+}
 
-// Tool: get_event
-server.tool(
-	'get_event',
-	'Look up a WoW frame event and its payload parameters (e.g. "PLAYER_LOGIN", "ADDON_LOADED"). Supports partial name matching.',
-	{
-		name: z.string().describe('Event name (e.g. "PLAYER_LOGIN", "ADDON_LOADED", "SPELL")'),
-	},
-	async ({ name }) => {
-		const result = store.getEvent(name);
-		if (!result) {
-			return { content: [{ type: 'text', text: `No event found matching "${name}".` }] };
-		}
+function startWatching() {
+	extensionWatcher?.close();
+	extensionWatcher = watchExtension(store.extensionPath, reloadStore);
+}
 
-		if (Array.isArray(result)) {
-			const lines = [`Events matching "${name}" (${result.length} results):\n`];
-			for (const evt of result) {
-				const payload = evt.payload ? ` -- payload: ${evt.payload}` : ' -- no payload';
-				lines.push(`${evt.name}${payload}`);
-			}
-			return { content: [{ type: 'text', text: lines.join('\n') }] };
+function reloadStore() {
+	if (reloading) {
+		reloadQueued = true;
+		return;
+	}
+
+	// Skip no-op events, and wait out updates that temporarily remove the extension
+	const extPath = findExtensionPath();
+	if (!extPath || (extPath === store.extensionPath && fingerprintExtension(extPath) === store.fingerprint)) return;
+
+	reloading = true;
+	const worker = new Worker(new URL('./reload-worker.mjs', import.meta.url), { workerData: { useCache } });
+	worker.once('message', (snapshot) => {
+		const previousVersion = store.extensionVersion;
+		store = DataStore.fromSnapshot(snapshot);
+		startWatching();
+		log('info', `Reloaded ketho.wow-api ${store.extensionVersion} (was ${previousVersion}) from ${store.extensionPath}`);
+		for (const server of servers) {
+			server.sendToolListChanged();
+			server.sendResourceListChanged();
+			server.sendPromptListChanged();
 		}
+	});
+	worker.once('error', (err) => {
+		log('error', `Reloading ketho.wow-api failed, keeping ${store.extensionVersion}: ${err.message}`);
+	});
+	worker.once('exit', () => {
+		reloading = false;
+		if (reloadQueued) {
+			reloadQueued = false;
+			reloadStore();
+		}
+	});
+}
 
-		const payload = result.payload ? `Payload: ${result.payload}` : 'No payload parameters';
-		return { content: [{ type: 'text', text: `Event: ${result.name}\n${payload}` }] };
+// ---- Start server ----
+if (!cliMode) {
+	store = new DataStore();
+	store.load({ useCache });
+
+	if (httpPort !== null) {
+		await startHttpServer({
+			port: httpPort,
+			host: httpHost,
+			connectSession: connectServer,
+			health: () => ({ extensionVersion: store.extensionVersion, ...store.getStats() }),
+		});
+		console.error(`[wow-api] Serving MCP over HTTP at http://${httpHost}:${httpPort}/mcp`);
+	} else {
+		await connectServer(new StdioServerTransport());
 	}
-);
 
-// ---- Start server ----
-const transport = new StdioServerTransport();
-await server.connect(transport);
+	if (!args.includes('--no-watch')) {
+		startWatching();
+	}
+}
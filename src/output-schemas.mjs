@@ -0,0 +1,356 @@
+import { z } from 'zod';
+import { RESTRICTION_FLAGS } from './parsers/lua-annotations.mjs';
+
+/**
+ * Output schemas for the MCP tools. Each tool declares one as its `outputSchema` and returns matching
+ * `structuredContent` next to its text, so scripts can consume results without parsing the text.
+ * Object schemas are strict in the JSON Schema clients validate against, so runTool() parses each result through
+ * its tool's schema to drop store fields the schema doesn't declare.
+ */
+
+const paramSchema = z.object({
+	name: z.string().nullable().describe('Param name; "..." for varargs, null for an unnamed param type in a fun() type'),
+	type: z.string(),
+	optional: z.boolean(),
+	description: z.string().nullable(),
+});
+
+const returnSchema = z.object({
+	name: z.string().nullable().describe('Return name; "..." for varargs'),
+	type: z.string(),
+	description: z.string().nullable(),
+});
+
+const fieldSchema = z.object({
+	name: z.string(),
+	type: z.string(),
+	optional: z.boolean(),
+	description: z.string().nullable(),
+});
+
+const SOURCES = ['blizzard', 'deprecated', 'wiki', 'widget', 'framexml'];
+
+export const functionSchema = z.object({
+	fullName: z.string().describe('Name including namespace or widget class, e.g. "C_Spell.GetSpellInfo" or "Frame:Show"'),
+	name: z.string(),
+	namespace: z.string().nullable(),
+	isMethod: z.boolean().describe('True for widget methods (Class:Method)'),
+	description: z.string().nullable(),
+	wikiUrl: z.string().nullable(),
+	params: z.array(paramSchema),
+	returns: z.array(returnSchema),
+	overloads: z.array(z.object({ params: z.array(paramSchema), returns: z.array(returnSchema) })).describe('Alternative signatures from @overload'),
+	generics: z.array(z.object({ name: z.string(), constraint: z.string().nullable() })).describe('Type parameters from @generic'),
+	flags: z.array(z.enum(RESTRICTION_FLAGS)).describe('Restriction flags: protected, nocombat (combat lockdown), restrictedframe, hwevent (needs a key or mouse press)'),
+	gameVersions: z.array(z.string()).describe('Game flavors the function exists in; empty when unknown'),
+	deprecated: z.boolean(),
+	replacedBy: z.string().nullable(),
+	replacedByUrl: z.string().nullable(),
+	deprecatedInPatch: z.string().nullable().optional(),
+	source: z.enum(SOURCES).describe('Most authoritative annotation set defining the function'),
+	sources: z.array(z.enum(SOURCES)).describe('Every annotation set defining the function, most authoritative first; their definitions are merged field by field'),
+});
+
+const definitionSchema = functionSchema.omit({ gameVersions: true, sources: true }).describe('One annotation set\'s definition, as parsed');
+
+const literalValueSchema = z.union([z.number(), z.string(), z.boolean()]);
+
+const enumMemberSchema = z.object({
+	value: literalValueSchema.nullable().describe('Evaluated value, or null if the literal could not be evaluated'),
+	literal: z.string().describe('Value as written in the annotations (e.g. "0x4", "bit.lshift(1, 3)")'),
+});
+
+const enumValuesSchema = z.record(z.string(), enumMemberSchema);
+
+const aliasValueSchema = z.object({
+	value: z.string().describe('Literal as written, quotes included'),
+	description: z.string().nullable(),
+	from: z.string().nullable().describe('Nested alias the value comes from'),
+});
+
+export const classInfoSchema = z.object({
+	name: z.string(),
+	inherits: z.array(z.string()),
+	fields: z.array(fieldSchema),
+	wikiUrl: z.string().nullable(),
+});
+
+export const expandedTypeSchema = z.object({
+	name: z.string(),
+	kind: z.enum(['alias', 'enum', 'structure', 'class', 'unresolved']),
+	origin: z.enum(['structure', 'widget', 'mixin']).optional().describe('Where a class was declared: Blizzard API structure, widget API or FrameXML mixin'),
+	values: z.union([enumValuesSchema, z.array(aliasValueSchema)]).optional().describe('Enum { key: { value, literal } }, or the allowed values of an alias'),
+	definition: z.string().nullable().optional().describe('Alias type as declared'),
+	description: z.string().nullable().optional(),
+	types: z.array(z.string()).optional().describe('Non-literal types an alias also accepts'),
+	fields: z.array(fieldSchema).optional(),
+	get expanded() {
+		return z.array(expandedTypeSchema).optional();
+	},
+});
+
+const eventParamSchema = z.object({
+	name: z.string(),
+	type: z.string().nullable(),
+	optional: z.boolean(),
+	inferred: z.boolean().optional().describe('Type inferred from same-named function params rather than documented'),
+});
+
+export const eventSchema = z.object({
+	name: z.string(),
+	payload: z.string().nullable(),
+	params: z.array(eventParamSchema),
+	namespace: z.string().nullable(),
+});
+
+export const cvarSchema = z.object({
+	name: z.string(),
+	description: z.string().nullable(),
+	default: z.string().nullable(),
+	category: z.string().nullable(),
+	scope: z.string().nullable(),
+});
+
+const constantSchema = z.object({
+	name: z.string().describe('Global name (e.g. "NUM_BAG_SLOTS") or full name in its table (e.g. "Constants.AccountStoreConsts.PlunderstormStoreFrontID")'),
+	value: literalValueSchema.nullable().describe('Evaluated value, or null if the literal could not be evaluated'),
+	literal: z.string().describe('Value as written in the annotations'),
+	table: z.string().nullable().describe('Constants.* table holding the constant, or null for globals'),
+	deprecated: z.boolean().describe('Defined in a deprecated-API file'),
+});
+
+const hierarchyNodeSchema = z.object({
+	name: z.string(),
+	missing: z.boolean().optional(),
+	cycle: z.boolean().optional(),
+	get children() {
+		return z.array(hierarchyNodeSchema);
+	},
+});
+
+const keyDiffSchema = z.object({ added: z.array(z.string()), removed: z.array(z.string()) });
+
+const suggestions = z.array(z.string()).describe('"Did you mean" names when nothing matched');
+
+// Paging fields of the list-returning tools; they describe the list the tool pages (see each tool's description)
+const page = {
+	total: z.number().describe('Number of results before paging'),
+	offset: z.number(),
+	limit: z.number(),
+	hasMore: z.boolean().describe('Whether more results follow this page'),
+	nextOffset: z.number().nullable().describe('offset of the next page, or null on the last page'),
+};
+
+// ---- Per-tool output schemas ----
+
+export const lookupApiOutput = {
+	query: z.string(),
+	results: z.array(
+		functionSchema.extend({
+			types: z.array(expandedTypeSchema).optional(),
+			definitions: z.array(definitionSchema).optional().describe('Each source\'s definition, when sources is set'),
+			differences: z.array(z.enum(['description', 'wikiUrl', 'signature', 'deprecated', 'flags'])).optional().describe('Fields the definitions disagree on, when sources is set'),
+		})
+	),
+	...page,
+	suggestions,
+};
+
+export const searchApiOutput = {
+	query: z.string(),
+	results: z.array(functionSchema),
+	...page,
+	suggestions,
+};
+
+export const findByTypeOutput = {
+	type: z.string(),
+	direction: z.enum(['param', 'return', 'any']),
+	exact: z.boolean(),
+	...page,
+	results: z.array(
+		z.object({
+			function: functionSchema,
+			matches: z.array(z.object({ direction: z.enum(['param', 'return']), name: z.string().nullable(), type: z.string() })),
+		})
+	),
+};
+
+export const listDeprecatedOutput = {
+	filter: z.string().nullable(),
+	since: z.string().nullable(),
+	functions: z.array(functionSchema),
+	...page,
+};
+
+export const listRestrictedOutput = {
+	filter: z.string().nullable(),
+	flags: z.array(z.enum(RESTRICTION_FLAGS)).describe('Flags that were matched'),
+	functions: z.array(functionSchema),
+	...page,
+};
+
+const callLocation = {
+	line: z.number(),
+	column: z.number(),
+	name: z.string().describe('Full name of the called function'),
+};
+
+export const auditAddonOutput = {
+	path: z.string(),
+	found: z.boolean().describe('Whether the addon directory exists'),
+	filesScanned: z.number(),
+	totalCalls: z.number(),
+	files: z.array(
+		z.object({
+			file: z.string(),
+			calls: z.array(z.object({ ...callLocation, replacedBy: z.string().nullable(), replacedByUrl: z.string().nullable(), deprecatedInPatch: z.string().nullable() })),
+		})
+	).describe('Files with calls on this page; the page counts calls, not files'),
+	...page,
+};
+
+export const migrateCodeOutput = {
+	code: z.string().describe('Rewritten source'),
+	diff: z.string().describe('Unified diff of the rewrite; empty when nothing changed'),
+	renamed: z.array(z.object({ ...callLocation, replacedBy: z.string() })).describe('Safe one-to-one renames'),
+	needsReview: z.array(z.object({ ...callLocation, replacedBy: z.string(), mismatches: z.array(z.string()) })).describe('Renamed, but params or returns differ; a TODO comment was added'),
+	notMigrated: z.array(z.object({ ...callLocation, reason: z.string() })),
+};
+
+export const checkFlavorsOutput = {
+	path: z.string(),
+	found: z.boolean().describe('Whether the addon directory exists'),
+	targets: z.array(z.string()),
+	inferred: z.boolean().describe('Whether targets were inferred from .toc files'),
+	unsupportedInterfaces: z.array(z.number()).describe('.toc interface versions with no flavor data'),
+	filesScanned: z.number(),
+	totalCalls: z.number(),
+	files: z.array(
+		z.object({
+			file: z.string(),
+			calls: z.array(z.object({ ...callLocation, missing: z.array(z.string()), gameVersions: z.array(z.string()) })),
+		})
+	).describe('Files with calls on this page; the page counts calls, not files'),
+	...page,
+};
+
+export const getNamespaceOutput = {
+	namespace: z.string().nullable(),
+	functions: z.array(functionSchema),
+	namespaces: z.array(z.string()).optional().describe('All namespaces, when name is "list"'),
+	...page,
+	suggestions,
+};
+
+export const getWidgetMethodsOutput = {
+	widget: z.string().nullable(),
+	classInfo: classInfoSchema.nullable(),
+	methods: z.array(functionSchema.extend({ inheritedFrom: z.string().optional().describe('Ancestor class declaring the method') })),
+	ancestors: z.array(z.string()).optional(),
+	missingParents: z.array(z.string()).optional(),
+	widgets: z.array(z.string()).optional().describe('All widget types, when widget_type is "list"'),
+	...page,
+	suggestions,
+};
+
+export const getStructureOutput = {
+	structure: classInfoSchema.nullable(),
+	structures: z.array(z.string()).optional().describe('All API structures, when name is "list"'),
+	...page,
+	suggestions,
+};
+
+export const getMixinOutput = {
+	mixin: z.string().nullable(),
+	classInfo: classInfoSchema.nullable(),
+	methods: z.array(functionSchema),
+	mixins: z.array(z.string()).optional().describe('All FrameXML mixins, when name is "list"'),
+	...page,
+	suggestions,
+};
+
+export const getWidgetHierarchyOutput = {
+	widget: z.string().nullable(),
+	ancestors: hierarchyNodeSchema.nullable().describe('Tree of parent classes'),
+	descendants: hierarchyNodeSchema.nullable().describe('Tree of subclasses'),
+	suggestions,
+};
+
+export const getEnumOutput = {
+	query: z.string(),
+	enums: z.record(z.string(), enumValuesSchema).describe('Enum name -> { key: { value, literal } }; the page counts enums, not members'),
+	...page,
+	suggestions,
+};
+
+export const decodeEnumOutput = {
+	query: z.string(),
+	enum: z.string().nullable().describe('Resolved enum name, or null if no enum matched'),
+	isFlags: z.boolean().describe('Whether the enum was treated as a bitflag enum'),
+	value: literalValueSchema.nullable().describe('Decoded value, or the encoded value (null if it could not be encoded)'),
+	matches: z.array(z.string()).describe('Decoding: keys whose value equals value. Encoding: the given names as spelled in the enum'),
+	flags: z.array(z.string()).describe('Member flags set in value (bitflag enums only)'),
+	unknownBits: z.number().describe('Bits set in value that no member accounts for'),
+	unknownKeys: z.array(z.string()).describe('Names passed for encoding that are not members of the enum'),
+	suggestions,
+};
+
+export const getTypeOutput = {
+	query: z.string(),
+	type: expandedTypeSchema.nullable(),
+	suggestions,
+};
+
+export const getEventOutput = {
+	query: z.string(),
+	event: eventSchema
+		.extend({ relatedFunctions: z.array(z.object({ name: z.string(), via: z.array(z.string()).describe('Payload params the function takes') })).describe('One page of related functions; the paging fields count these for an exact match') })
+		.nullable()
+		.describe('The exact match, with related functions'),
+	matches: z.array(eventSchema).describe('Partial matches, when there is no exact match'),
+	...page,
+	suggestions,
+};
+
+export const getCVarOutput = {
+	cvar: cvarSchema.nullable(),
+	similar: z.array(z.string()),
+	suggestions,
+};
+
+export const searchCVarsOutput = {
+	query: z.string(),
+	category: z.string().nullable(),
+	cvars: z.array(cvarSchema),
+	...page,
+};
+
+export const getConstantOutput = {
+	query: z.string().nullable(),
+	value: literalValueSchema.nullable().describe('Value searched for (reverse lookup)'),
+	table: z.string().nullable().describe('Constants.* table listed, when query named one'),
+	constants: z.array(constantSchema),
+	...page,
+	suggestions,
+};
+
+export const diffApiOutput = {
+	from: z.string(),
+	to: z.string(),
+	functions: keyDiffSchema,
+	signatureChanges: z.array(z.object({ name: z.string(), from: z.string(), to: z.string() })),
+	newlyDeprecated: z.array(functionSchema),
+	events: keyDiffSchema,
+	enums: keyDiffSchema,
+	enumValues: z.array(
+		z.object({
+			name: z.string(),
+			added: z.array(z.string()),
+			removed: z.array(z.string()),
+			changed: z.array(z.object({ key: z.string(), from: literalValueSchema, to: literalValueSchema })).describe('Evaluated values, or the literals where they could not be evaluated'),
+		})
+	),
+	widgetMethods: z.array(z.object({ widget: z.string(), added: z.array(z.string()), removed: z.array(z.string()) })),
+	cvars: keyDiffSchema,
+};
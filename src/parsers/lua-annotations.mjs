@@ -3,9 +3,105 @@ import { join, basename } from 'path';
 
 /**
  * Parse a LuaLS annotation file into structured function/class/enum data.
- * Handles: @param, @return, @deprecated, @class, @field, @enum, function signatures, wiki links, descriptions.
+ * Handles: @param, @return, @deprecated, @overload, @generic, @class, @field, @alias, @enum, function signatures,
+ * wiki links, descriptions, restriction flags, `Constants.*` tables and global constants. `...` varargs are kept as
+ * params/returns named "...".
  */
 
+/**
+ * `---#flag` markers that restrict when or from where a function can be called.
+ */
+export const RESTRICTION_FLAGS = ['protected', 'nocombat', 'restrictedframe', 'hwevent'];
+
+/**
+ * Split text at a separator, ignoring separators inside brackets and string literals.
+ */
+export function splitTopLevel(text, separator) {
+	const parts = [];
+	let depth = 0;
+	let quote = null;
+	let start = 0;
+	for (let i = 0; i < text.length; i++) {
+		const c = text[i];
+		if (quote) {
+			if (c === quote) quote = null;
+		} else if (c === '"' || c === "'") {
+			quote = c;
+		} else if ('(<{['.includes(c)) {
+			depth++;
+		} else if (')>}]'.includes(c)) {
+			depth--;
+		} else if (c === separator && depth === 0) {
+			parts.push(text.slice(start, i).trim());
+			start = i + 1;
+		}
+	}
+	parts.push(text.slice(start).trim());
+	return parts.filter(Boolean);
+}
+
+/**
+ * Read the type expression at the start of an annotation's text, e.g. `table<string, number>`,
+ * `"a" | "b"` or `fun(x: number): string`, and return [type, rest of the text].
+ */
+function splitType(text) {
+	let depth = 0;
+	let quote = null;
+	for (let i = 0; i < text.length; i++) {
+		const c = text[i];
+		if (quote) {
+			if (c === quote) quote = null;
+		} else if (c === '"' || c === "'") {
+			quote = c;
+		} else if ('(<{['.includes(c)) {
+			depth++;
+		} else if (')>}]'.includes(c)) {
+			depth--;
+		} else if (/\s/.test(c) && depth === 0) {
+			// Unions and fun return types may be written with spaces around `|` and `:`
+			const before = text.slice(0, i).trimEnd();
+			const after = text.slice(i).trimStart();
+			if (before.endsWith('|') || after.startsWith('|') || (before.endsWith(':') && /\bfun\(/.test(before)) || (after.startsWith(':') && before.endsWith(')'))) continue;
+			return [before, after];
+		}
+	}
+	return [text.trim(), ''];
+}
+
+/**
+ * Parse a `fun(a: number, b?: string, ...: any): boolean, string` type into { params, returns }.
+ * Params that aren't written `name: type` (e.g. a bare `Frame[]`) get a null name and the entry as their type.
+ * Returns null if the text is not a function type.
+ */
+export function parseFunType(text) {
+	const match = text.trim().match(/^fun\s*\(/);
+	if (!match) return null;
+
+	let depth = 1;
+	let end = match[0].length;
+	for (; end < text.length && depth > 0; end++) {
+		if (text[end] === '(') depth++;
+		else if (text[end] === ')') depth--;
+	}
+	const paramText = text.slice(match[0].length, end - 1);
+	const returnText = text
+		.slice(end)
+		.trim()
+		.replace(/^:\s*/, '')
+		.replace(/^\((.*)\)$/, '$1');
+
+	const params = splitTopLevel(paramText, ',').map((entry) => {
+		const named = entry.match(/^(\w+|\.\.\.)(\?)?\s*(?::\s*(.+))?$/);
+		return named ? { name: named[1], optional: !!named[2] || named[1] === '...', type: named[3]?.trim() || 'any', description: null } : { name: null, optional: false, type: entry.trim(), description: null };
+	});
+	const returns = splitTopLevel(returnText, ',').map((entry) => {
+		const named = entry.match(/^(\w+|\.\.\.)\??\s*:\s*(.+)$/);
+		return named ? { type: named[2].trim(), name: named[1], description: null } : { type: entry, name: null, description: null };
+	});
+
+	return { params, returns };
+}
+
 /**
  * Parse a single annotation block (accumulated --- lines) + the function/class line that follows.
  */
@@ -18,6 +114,9 @@ function parseAnnotationBlock(lines, funcLine) {
 		description: null,
 		params: [],
 		returns: [],
+		overloads: [], // [{ params, returns }] from @overload fun(...) lines
+		generics: [], // [{ name, constraint }] from @generic lines
+		flags: [], // RESTRICTION_FLAGS from ---#flag lines
 	};
 
 	const descParts = [];
@@ -45,31 +144,59 @@ function parseAnnotationBlock(lines, funcLine) {
 			continue;
 		}
 
-		// @param name? type Description
-		const paramMatch = text.match(/^@param\s+(\w+)(\?)?\s+(\S+)\s*(.*)?$/);
+		// @param name? type Description  (name may be `...` for varargs)
+		const paramMatch = text.match(/^@param\s+(\w+|\.\.\.)(\?)?\s+(.+)$/);
 		if (paramMatch) {
+			const [type, description] = splitType(paramMatch[3]);
 			result.params.push({
 				name: paramMatch[1],
-				optional: !!paramMatch[2],
-				type: paramMatch[3],
-				description: paramMatch[4] || null,
+				optional: !!paramMatch[2] || paramMatch[1] === '...',
+				type,
+				description: description || null,
 			});
 			continue;
 		}
 
-		// @return type name Description
-		const returnMatch = text.match(/^@return\s+(\S+)\s*(\w+)?\s*(.*)?$/);
+		// @return type name Description  (name may be `...` for varargs)
+		const returnMatch = text.match(/^@return\s+(.+)$/);
 		if (returnMatch) {
+			const [type, rest] = splitType(returnMatch[1]);
+			const nameMatch = rest.match(/^(\w+|\.\.\.)?\s*(.*)$/);
 			result.returns.push({
-				type: returnMatch[1],
-				name: returnMatch[2] || null,
-				description: returnMatch[3] || null,
+				type,
+				name: nameMatch[1] || null,
+				description: nameMatch[2] || null,
 			});
 			continue;
 		}
 
-		// Skip meta, class, field, enum, alias, overload, nopage, invalidpage markers in function context
-		if (text.startsWith('@') || text.startsWith('#')) continue;
+		// @overload fun(a: number): string
+		const overloadMatch = text.match(/^@overload\s+(.+)$/);
+		if (overloadMatch) {
+			const overload = parseFunType(overloadMatch[1]);
+			if (overload) result.overloads.push(overload);
+			continue;
+		}
+
+		// @generic T, K : table
+		const genericMatch = text.match(/^@generic\s+(.+)$/);
+		if (genericMatch) {
+			for (const generic of splitTopLevel(genericMatch[1], ',')) {
+				const [name, constraint] = generic.split(':').map((part) => part.trim());
+				result.generics.push({ name, constraint: constraint || null });
+			}
+			continue;
+		}
+
+		// #protected, #nocombat, ...
+		const flagMatch = text.match(/^#(\w+)/);
+		if (flagMatch && RESTRICTION_FLAGS.includes(flagMatch[1])) {
+			if (!result.flags.includes(flagMatch[1])) result.flags.push(flagMatch[1]);
+			continue;
+		}
+
+		// Skip meta, class, field, enum, alias (and its `---|` values), nopage, invalidpage markers in function context
+		if (text.startsWith('@') || text.startsWith('#') || text.startsWith('|')) continue;
 
 		// Everything else is description text
 		if (text.trim()) {
@@ -81,6 +208,49 @@ function parseAnnotationBlock(lines, funcLine) {
 	return result;
 }
 
+/**
+ * Parse the @alias definitions in an annotation block. Two forms:
+ * ---@alias FramePoint "TOPLEFT"|"TOP"|"TOPRIGHT"
+ * ---@alias UnitToken string
+ * ---|"player" # The player
+ * ---|"target"
+ * Returns [{ name, type, description, values: [{ value, description }] }]; type is null when only `---|` lines follow.
+ */
+function parseAliases(lines) {
+	const aliases = [];
+	let current = null;
+	let descParts = [];
+
+	for (const line of lines) {
+		const text = line.replace(/^---\s?/, '');
+
+		const aliasMatch = text.match(/^@alias\s+([\w.]+)\s*(.*)$/);
+		if (aliasMatch) {
+			current = {
+				name: aliasMatch[1],
+				type: splitType(aliasMatch[2])[0] || null,
+				description: descParts.length > 0 ? descParts.join(' ') : null,
+				values: [],
+			};
+			aliases.push(current);
+			descParts = [];
+			continue;
+		}
+
+		// ---| "value" # description  (`>` marks the default, `+` an open-ended member)
+		const valueMatch = line.match(/^---\|\s*[>+]?\s*(.+?)(?:\s*#\s*(.*))?$/);
+		if (valueMatch && current) {
+			current.values.push({ value: valueMatch[1].trim(), description: valueMatch[2]?.trim() || null });
+			continue;
+		}
+
+		current = null;
+		if (text.trim() && !text.startsWith('@') && !text.startsWith('#')) descParts.push(text.trim());
+	}
+
+	return aliases;
+}
+
 /**
  * Parse function signature line: `function C_NS.Func(args) end` or `function Widget:Method(args) end`
  */
@@ -125,7 +295,9 @@ function parseFunctionLine(line) {
 }
 
 /**
- * Parse all functions from a single .lua annotation file.
+ * Parse all functions from a single .lua annotation file, along with its classes, aliases, events and constants.
+ * Constants are [{ name, value, literal, table }]: table is the `Constants.*` table holding the constant, or null for
+ * globals; value is null when the literal cannot be evaluated here (e.g. it references an enum).
  */
 export function parseLuaFile(filePath) {
 	const content = readFileSync(filePath, 'utf-8');
@@ -133,17 +305,52 @@ export function parseLuaFile(filePath) {
 	const functions = [];
 	const classes = [];
 	const enums = [];
+	const aliases = [];
+	const constants = [];
+	const constantValues = new Map();
+	const resolveConstant = (name) => constantValues.get(name) ?? null;
 	let annotationLines = [];
 
 	for (let i = 0; i < lines.length; i++) {
 		const line = lines[i].trim();
 
+		// Constant tables at the top level: `Constants.Name = {` (or `Constants = {` with sub-tables)
+		const constTable = lines[i].match(/^(Constants(?:\.\w+)*)\s*=\s*\{$/);
+		if (constTable) {
+			const { members, end } = readTableMembers(lines, i + 1, resolveConstant);
+			for (const [key, member] of Object.entries(members)) {
+				const name = `${constTable[1]}.${key}`;
+				constants.push({ name, ...member, table: name.slice(0, name.lastIndexOf('.')) });
+				constantValues.set(name, member.value);
+			}
+			annotationLines = [];
+			i = end;
+			continue;
+		}
+
+		// Global constants at the top level: `LE_FOO = 1`, `NUM_BAG_SLOTS = 4`
+		const globalConst = lines[i].match(/^([A-Z][A-Z\d_]*)\s*=\s*(.+)$/);
+		if (globalConst) {
+			const literal = stripLuaComment(globalConst[2]).replace(/;$/, '').trim();
+			if (!literal.startsWith('{') && literal !== 'nil') {
+				const value = evaluateLiteral(literal, resolveConstant);
+				constants.push({ name: globalConst[1], value, literal, table: null });
+				constantValues.set(globalConst[1], value);
+			}
+			annotationLines = [];
+			continue;
+		}
+
 		// Accumulate annotation lines
 		if (line.startsWith('---')) {
 			annotationLines.push(line);
 			continue;
 		}
 
+		if (annotationLines.some((aLine) => aLine.startsWith('---@alias'))) {
+			aliases.push(...parseAliases(annotationLines));
+		}
+
 		// Function definition
 		if (line.startsWith('function ')) {
 			const funcInfo = parseFunctionLine(line);
@@ -194,7 +401,167 @@ export function parseLuaFile(filePath) {
 		}
 	}
 
-	return { functions, classes, enums };
+	if (annotationLines.some((aLine) => aLine.startsWith('---@alias'))) {
+		aliases.push(...parseAliases(annotationLines)); // Block at the end of the file
+	}
+
+	const events = content.includes('LiteralName') ? parseDocumentationEvents(content) : [];
+
+	return { functions, classes, enums, events, aliases, constants };
+}
+
+/**
+ * Parse Blizzard `*Documentation.lua` event tables:
+ * { Name = "...", Type = "Event", LiteralName = "EVENT_NAME", Payload = { { Name = "x", Type = "number", Nilable = false }, ... } }
+ * The system's `Namespace = "C_..."` (if any) is attached to every event in the file.
+ */
+function parseDocumentationEvents(content) {
+	const namespaceMatch = content.match(/^\s*Namespace\s*=\s*"([^"]+)"/m);
+	const namespace = namespaceMatch ? namespaceMatch[1] : null;
+	const events = [];
+
+	const starts = [...content.matchAll(/LiteralName\s*=\s*"([^"]+)"/g)];
+	for (let i = 0; i < starts.length; i++) {
+		const segment = content.slice(starts[i].index, i + 1 < starts.length ? starts[i + 1].index : content.length);
+		const payloadIdx = segment.search(/Payload\s*=/);
+		const params = [];
+
+		if (payloadIdx !== -1) {
+			const entryRegex = /\{\s*Name\s*=\s*"(\w+)"\s*,\s*Type\s*=\s*"([^"]+)"([^}]*)\}/g;
+			let entry;
+			while ((entry = entryRegex.exec(segment.slice(payloadIdx))) !== null) {
+				const extra = entry[3];
+				const innerType = extra.match(/InnerType\s*=\s*"([^"]+)"/);
+				const mixin = extra.match(/Mixin\s*=\s*"([^"]+)"/);
+				let type = mixin ? mixin[1] : entry[2];
+				if (type === 'table' && innerType) type = `${innerType[1]}[]`;
+				params.push({
+					name: entry[1],
+					type,
+					optional: /Nilable\s*=\s*true/.test(extra),
+				});
+			}
+		}
+
+		events.push({ name: starts[i][1], namespace, params });
+	}
+
+	return events;
+}
+
+const BIT_OPS = {
+	lshift: (a, b) => a * 2 ** b,
+	rshift: (a, b) => Math.floor(a / 2 ** b),
+	bor: (...args) => Number(args.reduce((acc, v) => acc | BigInt(v), 0n)),
+	band: (...args) => Number(args.reduce((acc, v) => acc & BigInt(v), -1n)),
+	bxor: (...args) => Number(args.reduce((acc, v) => acc ^ BigInt(v), 0n)),
+};
+
+/**
+ * Evaluate an enum or constant value literal: decimal, hex and negative numbers, string literals, booleans,
+ * `bit.lshift(1, 3)`-style calls and references to other values (`Other`, `Enum.Name.Key`).
+ * resolve(name) looks up a referenced value. Returns null when the literal cannot be evaluated.
+ */
+function evaluateLiteral(literal, resolve) {
+	const number = literal.match(/^(-)?\s*(0x[\da-f]+|\d+(?:\.\d+)?(?:e[+-]?\d+)?)$/i);
+	if (number) return (number[1] ? -1 : 1) * Number(number[2]);
+
+	const string = literal.match(/^(["'])(.*)\1$/);
+	if (string) return string[2];
+
+	if (literal === 'true' || literal === 'false') return literal === 'true';
+
+	const call = literal.match(/^bit\.(\w+)\((.*)\)$/);
+	if (call && BIT_OPS[call[1]]) {
+		const args = splitTopLevel(call[2], ',').map((arg) => evaluateLiteral(arg, resolve));
+		return args.length > 0 && args.every(Number.isInteger) ? BIT_OPS[call[1]](...args) : null;
+	}
+
+	if (/^[A-Za-z_][\w.]*$/.test(literal)) return resolve(literal);
+	return null;
+}
+
+/**
+ * Strip a trailing `-- comment` that is not inside a string literal.
+ */
+function stripLuaComment(line) {
+	let quote = null;
+	for (let i = 0; i < line.length; i++) {
+		const c = line[i];
+		if (quote) {
+			if (c === quote) quote = null;
+		} else if (c === '"' || c === "'") {
+			quote = c;
+		} else if (c === '-' && line[i + 1] === '-') {
+			return line.slice(0, i).trim();
+		}
+	}
+	return line;
+}
+
+// A table key: `Name`, `["Name"]` or `[1]`; tableKey() reads it from a match
+const TABLE_KEY = /(\w+|\[["'](.+?)["']\]|\[(-?\d+)\])/.source;
+const TABLE_ENTRY = new RegExp(`^${TABLE_KEY}\\s*=\\s*(.+)$`);
+const SUB_TABLE_START = new RegExp(`^${TABLE_KEY}\\s*=\\s*\\{$`);
+
+function tableKey(match) {
+	return match[2] ?? match[3] ?? match[1];
+}
+
+/**
+ * Read the members of a table literal from lines[start] up to its closing `}`.
+ * Members of nested sub-tables, multi-line or written inline (`Sub = { Key = 1 },`), are flattened to `Sub.Key`.
+ * Keys may be names, quoted strings or numbers (`[1] = 5`); positional entries (`"a",`) are keyed by their index
+ * like Lua numbers them, 1 first. Each member becomes { value, literal }: the evaluated value (see evaluateLiteral,
+ * null when it cannot be evaluated) and the value as written.
+ * resolve(name, members) looks up references that are not members of the table itself.
+ * Returns { members, end }, end being the index of the closing line.
+ */
+function readTableMembers(lines, start, resolve) {
+	const members = {};
+	const path = []; // keys of the sub-tables we are inside
+	const positions = [0]; // positional entries read so far in each table we are inside
+	const lookupIn = (scope) => (name) => (members[[...scope, name].join('.')] ?? members[name])?.value ?? resolve(name, members);
+
+	// Record one `key = value` or positional entry of the table at `scope`; nextPosition() numbers positional ones
+	const recordEntry = (scope, text, nextPosition) => {
+		const entry = text.match(TABLE_ENTRY);
+		if (entry) record([...scope, tableKey(entry)], entry[4].trim());
+		else record([...scope, String(nextPosition())], text);
+	};
+	const record = (keys, literal) => {
+		const inline = literal.match(/^\{(.*)\}$/);
+		const entries = inline ? splitTopLevel(inline[1], ',') : [];
+		if (entries.length > 0) {
+			let position = 0;
+			for (const entry of entries) recordEntry(keys, entry, () => ++position);
+			return;
+		}
+		members[keys.join('.')] = { value: evaluateLiteral(literal, lookupIn(keys.slice(0, -1))), literal };
+	};
+
+	for (let i = start; i < lines.length; i++) {
+		const line = stripLuaComment(lines[i].trim());
+		if (!line) continue;
+
+		const subTable = line.match(SUB_TABLE_START);
+		if (subTable || line === '{') {
+			path.push(subTable ? tableKey(subTable) : String(++positions[positions.length - 1]));
+			positions.push(0);
+			continue;
+		}
+
+		if (/^\},?$/.test(line)) {
+			if (path.length === 0) return { members, end: i };
+			path.pop();
+			positions.pop();
+			continue;
+		}
+
+		recordEntry(path, line.replace(/,$/, '').trim(), () => ++positions[positions.length - 1]);
+	}
+
+	return { members, end: lines.length };
 }
 
 /**
@@ -203,43 +570,44 @@ export function parseLuaFile(filePath) {
  * ---@enum Enum.Name
  * Enum.Name = {
  *   Key = Value,
+ *   Sub = { Key = Value, ... },
  *   ...
  * }
+ * Each enum maps its keys to { value, literal } (see readTableMembers), so members whose value cannot be evaluated
+ * are still listed. Values may reference members of the same or earlier enums (`Enum.Name.Key`).
+ * An `---@enum` not followed by its table is listed with no members, or an earlier enum's members if it aliases one.
  */
 export function parseEnumFile(filePath) {
 	const content = readFileSync(filePath, 'utf-8');
 	const lines = content.split(/\r?\n/);
 	const enums = {};
-	let currentEnum = null;
-	let currentValues = {};
 
 	for (let i = 0; i < lines.length; i++) {
-		const line = lines[i].trim();
-
-		const enumStart = line.match(/^---@enum\s+([\w.]+)/);
-		if (enumStart) {
-			currentEnum = enumStart[1];
-			currentValues = {};
-			continue;
-		}
-
-		if (currentEnum && line.match(/^[\w.]+ = \{$/)) {
-			continue; // Opening brace
-		}
-
-		if (currentEnum && line === '}') {
-			enums[currentEnum] = currentValues;
-			currentEnum = null;
-			currentValues = {};
+		const enumStart = lines[i].trim().match(/^---@enum\s+([\w.]+)/);
+		if (!enumStart) continue;
+		const name = enumStart[1];
+
+		// Skip further annotation lines up to the opening `Enum.Name = {`
+		let open = i + 1;
+		while (open < lines.length && lines[open].trim().startsWith('---')) open++;
+		const definition = stripLuaComment(lines[open]?.trim() ?? '');
+		if (definition.match(/^([\w.]+)\s*=\s*\{$/)?.[1] !== name) {
+			// Not a table literal (`Enum.Name = Enum.Other`, `local Name = {`): still list the enum, with the members
+			// of the enum it aliases when that one is known
+			const alias = definition.match(/^([\w.]+)\s*=\s*([\w.]+),?$/);
+			enums[name] = alias?.[1] === name && enums[alias[2]] ? { ...enums[alias[2]] } : {};
 			continue;
 		}
 
-		if (currentEnum) {
-			const kvMatch = line.match(/^(\w+)\s*=\s*(\d+),?$/);
-			if (kvMatch) {
-				currentValues[kvMatch[1]] = parseInt(kvMatch[2], 10);
+		const resolve = (ref, own) => {
+			for (const [enumName, values] of [[name, own], ...Object.entries(enums)]) {
+				if (ref.startsWith(`${enumName}.`)) return values[ref.slice(enumName.length + 1)]?.value ?? null;
 			}
-		}
+			return null;
+		};
+		const { members, end } = readTableMembers(lines, open + 1, resolve);
+		enums[name] = members;
+		i = end;
 	}
 
 	return enums;
@@ -250,6 +618,7 @@ export function parseEnumFile(filePath) {
  * Format:
  * ---@alias FrameEvent string
  * ---|"EVENT_NAME" # `param1, param2`
+ * Payload names become untyped params; types are filled in later from documentation tables or function params.
  */
 export function parseEventFile(filePath) {
 	const content = readFileSync(filePath, 'utf-8');
@@ -259,9 +628,18 @@ export function parseEventFile(filePath) {
 	for (const line of lines) {
 		const match = line.match(/^\s*---\|"([^"]+)"(?:\s*#\s*`([^`]*)`)?/);
 		if (match) {
+			const payload = match[2] || null;
 			events[match[1]] = {
 				name: match[1],
-				payload: match[2] || null,
+				payload,
+				params: payload
+					? payload
+							.split(',')
+							.map((p) => p.trim())
+							.filter(Boolean)
+							.map((p) => ({ name: p.replace(/\?$/, ''), type: null, optional: p.endsWith('?') }))
+					: [],
+				namespace: null,
 			};
 		}
 	}
@@ -269,11 +647,43 @@ export function parseEventFile(filePath) {
 	return events;
 }
 
+const CVAR_SCOPES = new Set(['Account', 'Character']);
+
+/**
+ * Parse the annotation text after a CVar's `#` marker.
+ * Pulls out `Default: value`, and the category/scope tags (e.g. "(`Graphics`, `Account`)"); the rest is the description.
+ */
+function parseCVarAnnotation(text) {
+	const result = { description: null, default: null, category: null, scope: null };
+	let rest = text;
+
+	const defaultMatch = rest.match(/`Default\s*[:=]\s*([^`]*)`/i) || rest.match(/\bDefault\s*[:=]\s*(\S+?)[,;)]?(?=\s|$)/i);
+	if (defaultMatch) {
+		result.default = defaultMatch[1].trim();
+		rest = rest.replace(defaultMatch[0], '');
+	}
+
+	const tagsMatch = rest.match(/\(((?:\s*`[^`]+`\s*,?)+)\)\s*$/);
+	if (tagsMatch) {
+		for (const tag of tagsMatch[1].match(/`[^`]+`/g)) {
+			const value = tag.slice(1, -1);
+			if (CVAR_SCOPES.has(value)) result.scope = value;
+			else result.category = value;
+		}
+		rest = rest.replace(tagsMatch[0], '');
+	}
+
+	rest = rest.trim();
+	result.description = rest || null;
+	return result;
+}
+
 /**
  * Parse CVar definitions from CVar.lua.
  * Format:
  * ---@alias CVar string
- * ---|"CVarName"
+ * ---|"CVarName" # `Default: 1` Description (`Category`, `Scope`)
+ * Everything after the `#` is optional.
  */
 export function parseCVarFile(filePath) {
 	const content = readFileSync(filePath, 'utf-8');
@@ -281,9 +691,12 @@ export function parseCVarFile(filePath) {
 	const cvars = [];
 
 	for (const line of lines) {
-		const match = line.match(/^\s*---\|"([^"]+)"/);
+		const match = line.match(/^\s*---\|"([^"]+)"(?:\s*#\s*(.*))?$/);
 		if (match) {
-			cvars.push(match[1]);
+			cvars.push({
+				name: match[1],
+				...parseCVarAnnotation(match[2] || ''),
+			});
 		}
 	}
 
@@ -21,6 +21,11 @@ export function parseFlavorFile(filePath) {
 	return flavorMap;
 }
 
+/**
+ * Game flavors covered by the flavor bitmask, in bit order.
+ */
+export const GAME_FLAVORS = ['Mainline', 'Vanilla', 'Mists'];
+
 /**
  * Decode a flavor bitmask into an array of game version strings.
  */
@@ -0,0 +1,18 @@
+import { parentPort, workerData } from 'worker_threads';
+import { diffStores, loadStoresForDiff } from './api-diff.mjs';
+import { DataStore } from './data-store.mjs';
+
+/**
+ * Worker thread entry for work that parses the extension, so the server keeps answering requests meanwhile:
+ * - hot reload: load a fresh DataStore and post its snapshot back
+ * - with workerData.diff ({ from, to }): load the two extensions to compare and post diffStores() output back
+ * Errors reach the parent as the worker's 'error' event.
+ */
+if (workerData.diff) {
+	const { oldStore, newStore } = loadStoresForDiff(workerData.diff.from, workerData.diff.to, { useCache: workerData.useCache });
+	parentPort.postMessage(diffStores(oldStore, newStore));
+} else {
+	const store = new DataStore();
+	store.load({ useCache: workerData.useCache });
+	parentPort.postMessage(store.toSnapshot());
+}
@@ -0,0 +1,113 @@
+/**
+ * Ranked name/description search with typo suggestions.
+ * Names are tokenized on namespaces and camelCase (`C_SpellBook.IsSpellKnown` -> c, spell, book, is, spell, known)
+ * so queries match on name parts, not just substrings.
+ */
+
+/**
+ * Split an identifier or phrase into lowercase tokens on separators and camelCase boundaries.
+ */
+export function tokenize(text) {
+	return (text.match(/[A-Z]+(?![a-z])|[A-Z]?[a-z]+|\d+/g) || []).map((t) => t.toLowerCase());
+}
+
+/**
+ * Levenshtein edit distance, giving up (returning max + 1) once it exceeds max.
+ */
+export function editDistance(a, b, max = Infinity) {
+	if (Math.abs(a.length - b.length) > max) return max + 1;
+
+	let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+	for (let i = 1; i <= a.length; i++) {
+		const curr = [i];
+		let rowMin = i;
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+			rowMin = Math.min(rowMin, curr[j]);
+		}
+		if (rowMin > max) return max + 1;
+		prev = curr;
+	}
+	return prev[b.length];
+}
+
+/**
+ * Suggest the names closest to a query by edit distance ("did you mean").
+ * Compares against both the full name and its last segment (`C_Spell.GetSpellInfo` -> `GetSpellInfo`).
+ */
+export function suggestNames(query, names, limit = 5) {
+	const lowerQuery = query.toLowerCase();
+	const maxDistance = Math.max(2, Math.floor(lowerQuery.length / 3));
+	const scored = [];
+
+	for (const name of names) {
+		const lowerName = name.toLowerCase();
+		const shortName = lowerName.split(/[.:]/).pop();
+		const distance = Math.min(editDistance(lowerQuery, lowerName, maxDistance), editDistance(lowerQuery, shortName, maxDistance));
+		if (distance <= maxDistance) scored.push({ name, distance });
+	}
+
+	return scored
+		.sort((a, b) => a.distance - b.distance || a.name.length - b.name.length || a.name.localeCompare(b.name))
+		.slice(0, limit)
+		.map((s) => s.name);
+}
+
+export class SearchIndex {
+	/**
+	 * @param entries [{ name, shortName?, description?, deprecated?, item }]
+	 */
+	constructor(entries) {
+		this.entries = entries.map((entry) => ({
+			...entry,
+			lowerName: entry.name.toLowerCase(),
+			lowerShortName: (entry.shortName || entry.name).toLowerCase(),
+			nameTokens: new Set(tokenize(entry.name)),
+			lowerDescription: entry.description ? entry.description.toLowerCase() : '',
+		}));
+	}
+
+	/**
+	 * Rank entries against a query. Name hits outrank description hits, and deprecated entries
+	 * rank below equally good non-deprecated ones. Every query word must match somewhere.
+	 * Returns matching items, best first.
+	 */
+	search(query, { namesOnly = false } = {}) {
+		const lowerQuery = query.trim().toLowerCase();
+		const words = lowerQuery
+			.split(/\s+/)
+			.filter(Boolean)
+			.map((word) => ({ word, tokens: tokenize(word) })); // tokenized once, like the entries' names
+		if (words.length === 0) return [];
+
+		const scored = [];
+		for (const entry of this.entries) {
+			let score = 0;
+
+			if (entry.lowerName === lowerQuery) score += 1000;
+			else if (entry.lowerShortName === lowerQuery) score += 800;
+			else if (entry.lowerShortName.startsWith(lowerQuery)) score += 400;
+			else if (entry.lowerName.startsWith(lowerQuery)) score += 350;
+			else if (entry.lowerName.includes(lowerQuery)) score += 200;
+
+			let allWordsMatch = true;
+			for (const { word, tokens } of words) {
+				if (tokens.length > 0 && tokens.every((t) => entry.nameTokens.has(t))) score += 50;
+				else if ([...entry.nameTokens].some((t) => t.startsWith(word))) score += 30;
+				else if (entry.lowerName.includes(word)) score += 20;
+				else if (!namesOnly && entry.lowerDescription.includes(word)) score += 10;
+				else allWordsMatch = false;
+			}
+
+			if (!allWordsMatch && score < 200) continue;
+			if (score === 0) continue;
+			if (entry.deprecated) score *= 0.8;
+			scored.push({ entry, score });
+		}
+
+		return scored
+			.sort((a, b) => b.score - a.score || a.entry.name.length - b.entry.name.length || a.entry.name.localeCompare(b.entry.name))
+			.map((s) => s.entry.item);
+	}
+}
@@ -0,0 +1,772 @@
+import { existsSync, statSync } from 'fs';
+import { z } from 'zod';
+import { diffExtensionsInWorker, formatApiDiff } from './api-diff.mjs';
+import { formatMigration, migrateCode } from './code-migrator.mjs';
+import { didYouMean, formatConstant, formatCVar, formatEnum, formatEvent, formatExpandedTypes, formatFunction, formatFunctionCompact, formatFunctionSources, formatType, formatWidgetClassInfo } from './format.mjs';
+import {
+	auditAddonOutput,
+	checkFlavorsOutput,
+	decodeEnumOutput,
+	diffApiOutput,
+	findByTypeOutput,
+	getConstantOutput,
+	getCVarOutput,
+	getEnumOutput,
+	getEventOutput,
+	getMixinOutput,
+	getNamespaceOutput,
+	getStructureOutput,
+	getTypeOutput,
+	getWidgetHierarchyOutput,
+	getWidgetMethodsOutput,
+	listDeprecatedOutput,
+	listRestrictedOutput,
+	lookupApiOutput,
+	migrateCodeOutput,
+	searchApiOutput,
+	searchCVarsOutput,
+} from './output-schemas.mjs';
+import { RESTRICTION_FLAGS } from './parsers/lua-annotations.mjs';
+import { GAME_FLAVORS } from './parsers/ts-data.mjs';
+
+/**
+ * Tool definitions shared by the MCP server and the CLI.
+ * run(store, args, { useCache }) queries the DataStore and returns { text, structured }, or a promise of it: text for the
+ * model or terminal, structured matching outputSchema (MCP structuredContent, CLI --json).
+ */
+
+function toolResult(text, structured) {
+	return { text: text.trimEnd(), structured };
+}
+
+const MAX_LIMIT = 1000;
+const NAME_LIST_LIMIT = 500; // page size for plain name lists ("list" modes)
+
+/**
+ * `limit`, `offset` and `detail` input params shared by the list-returning tools.
+ * Tools whose results have a single rendering pass defaultDetail null to leave out `detail`.
+ */
+function listParams(defaultLimit, defaultDetail = 'compact') {
+	const params = {
+		limit: z.number().int().min(1).max(MAX_LIMIT).optional().describe(`Maximum number of results to return (default ${defaultLimit})`),
+		offset: z.number().int().min(0).optional().describe('Number of results to skip; pass nextOffset from a previous reply to get the next page (default 0)'),
+	};
+	if (defaultDetail) {
+		params.detail = z.enum(['compact', 'full']).optional().describe(`"compact" for one line per result, "full" for complete entries (default "${defaultDetail}")`);
+	}
+	return params;
+}
+
+/**
+ * Cut one page out of a result list. Returns { items, page }, page being the { total, offset, limit, hasMore, nextOffset }
+ * fields every list-returning tool adds to its structured output.
+ */
+function paginate(results, { limit, offset = 0 }, defaultLimit) {
+	const size = limit ?? defaultLimit;
+	const items = results.slice(offset, offset + size);
+	const hasMore = offset + items.length < results.length;
+	return { items, page: { total: results.length, offset, limit: size, hasMore, nextOffset: hasMore ? offset + items.length : null } };
+}
+
+/**
+ * Describe a page for a reply header, e.g. " (showing 51-100 of 240; more with offset=100)". Empty when the page holds every result.
+ */
+function pageNote({ total, offset, hasMore, nextOffset }, count) {
+	if (offset === 0 && !hasMore) return '';
+	const range = count > 0 ? `showing ${offset + 1}-${offset + count} of ${total}` : `offset ${offset} is past the last result`;
+	return ` (${range}${hasMore ? `; more with offset=${nextOffset}` : ''})`;
+}
+
+/**
+ * Page the calls of an addon scan report ([{ file, calls }]) as one list, keeping them grouped by file.
+ * Returns { files, page, count }, count being the number of calls on the page.
+ */
+function paginateFileCalls(files, paging, defaultLimit) {
+	const { items, page } = paginate(files.flatMap(({ file, calls }) => calls.map((call) => ({ file, call }))), paging, defaultLimit);
+	const paged = [];
+	for (const { file, call } of items) {
+		if (paged.at(-1)?.file !== file) paged.push({ file, calls: [] });
+		paged.at(-1).calls.push(call);
+	}
+	return { files: paged, page, count: items.length };
+}
+
+/**
+ * Render functions one line each, or as full blocks with detail "full".
+ */
+function formatFunctions(funcs, detail) {
+	return detail === 'full' ? funcs.map(formatFunction).join('\n\n') : funcs.map(formatFunctionCompact).join('\n');
+}
+
+/**
+ * Render a widget or mixin: its class info, then one page of its methods.
+ */
+function formatClassMethods(classInfo, label, methods, page, detail) {
+	const lines = [];
+	if (classInfo) lines.push(formatWidgetClassInfo(classInfo, label));
+	if (page.total > 0) {
+		lines.push(`\nMethods (${page.total})${pageNote(page, methods.length)}:\n`);
+		lines.push(formatFunctions(methods, detail));
+	}
+	return lines.join('\n');
+}
+
+export const TOOLS = [
+	{
+		name: 'lookup_api',
+		description: 'Look up a WoW API function by name (exact or partial match). Returns full signature, params, returns, deprecation status, replacement, wiki link, game versions. Optionally expands structure and enum types used in the signature inline, or lists the annotation sets defining the function and where their definitions conflict. Partial matches are paged with limit/offset.',
+		inputSchema: {
+			name: z.string().describe('Function name to look up (e.g. "IsSpellKnown", "C_SpellBook.IsSpellKnown")'),
+			expand_types: z.boolean().optional().describe('Inline the fields of structure types and the values of enum types used in params/returns (default false)'),
+			depth: z.number().int().min(1).max(5).optional().describe('How many levels of nested structure fields to expand when expand_types is set (default 1)'),
+			sources: z.boolean().optional().describe('List every annotation set defining the function (Blizzard docs, deprecated files, Wiki.lua, widget API, FrameXML) and show where their definitions differ (default false)'),
+			...listParams(25, 'full'),
+		},
+		outputSchema: lookupApiOutput,
+		run(store, { name, expand_types, depth, sources, detail = 'full', ...paging }) {
+			const { items, page } = paginate(store.lookupApi(name), paging, 25);
+			if (page.total === 0) {
+				return toolResult(`No API function found matching "${name}".${didYouMean(store, name, 'function')}`, { query: name, results: [], ...page, suggestions: store.suggest(name, 'function') });
+			}
+
+			const blocks = [];
+			const structured = [];
+			for (const func of items) {
+				const generics = new Set(func.generics.map((g) => g.name));
+				const types = expand_types ? store.expandTypes([...func.params, ...func.returns].map((v) => v.type), depth ?? 1).filter((t) => !generics.has(t.name)) : [];
+				const sourceInfo = sources ? store.getFunctionSources(func.fullName) : null;
+				const lines = [detail === 'full' ? formatFunction(func) : formatFunctionCompact(func)];
+				if (types.length > 0) lines.push('  Types:', ...formatExpandedTypes(types));
+				if (sourceInfo) lines.push(formatFunctionSources(sourceInfo));
+				blocks.push(lines.join('\n'));
+				structured.push({ ...func, ...(expand_types && { types }), ...sourceInfo });
+			}
+
+			const header = page.total > 1 ? `${page.total} functions match "${name}"${pageNote(page, items.length)}:\n\n` : '';
+			return toolResult(header + blocks.join(detail === 'full' ? '\n\n---\n\n' : '\n'), { query: name, results: structured, ...page, suggestions: [] });
+		},
+	},
+	{
+		name: 'search_api',
+		description: 'Search WoW API functions by keyword. Searches function names (split on namespaces and camelCase) and descriptions, ranking name matches and non-deprecated functions first. Results are paged with limit/offset (50 per page by default). Set exclude_restricted to leave out protected and combat-restricted functions.',
+		inputSchema: {
+			query: z.string().describe('Search query (e.g. "spell", "unit frame", "achievement")'),
+			exclude_restricted: z.boolean().optional().describe('Leave out functions flagged #protected, #nocombat, #restrictedframe or #hwevent (default false)'),
+			...listParams(50),
+		},
+		outputSchema: searchApiOutput,
+		run(store, { query, exclude_restricted, detail = 'compact', ...paging }) {
+			const { items, page } = paginate(store.searchApi(query, { excludeRestricted: exclude_restricted }), paging, 50);
+			const excluded = exclude_restricted ? ' (excluding restricted functions)' : '';
+			if (page.total === 0) {
+				return toolResult(`No API functions found matching "${query}"${excluded}.${didYouMean(store, query, 'function')}`, { query, results: [], ...page, suggestions: store.suggest(query, 'function') });
+			}
+
+			const text = `Found ${page.total} result(s) for "${query}"${excluded}${pageNote(page, items.length)}:\n\n${formatFunctions(items, detail)}`;
+			return toolResult(text, { query, results: items, ...page, suggestions: [] });
+		},
+	},
+	{
+		name: 'find_by_type',
+		description: 'Find WoW API functions and widget methods that accept or return a given type (e.g. "ItemLocationMixin", "Enum.PowerType", "number[]"). Matches union members and array element types. Results are paged with limit/offset.',
+		inputSchema: {
+			type: z.string().describe('Type name to search for (e.g. "ItemLocationMixin", "Enum.PowerType", "SpellInfo")'),
+			direction: z.enum(['param', 'return', 'any']).optional().describe('Match only parameters, only returns, or both (default "any")'),
+			exact: z.boolean().optional().describe('Match whole type names (default true). Set false to match any type containing the text.'),
+			...listParams(50),
+		},
+		outputSchema: findByTypeOutput,
+		run(store, { type, direction = 'any', exact = true, detail = 'compact', ...paging }) {
+			const { items, page } = paginate(store.findByType(type, { direction, exact }), paging, 50);
+			const directionMsg = direction === 'param' ? 'accepting' : direction === 'return' ? 'returning' : 'accepting or returning';
+			const structured = { type, direction, exact, ...page, results: items.map(({ func, matches }) => ({ function: func, matches })) };
+			if (page.total === 0) {
+				return toolResult(`No API functions found ${directionMsg} type "${type}".`, structured);
+			}
+
+			const lines = [`Found ${page.total} function(s) ${directionMsg} "${type}"${pageNote(page, items.length)}:\n`];
+			for (const { func, matches } of items) {
+				lines.push(detail === 'full' ? formatFunction(func) : formatFunctionCompact(func));
+				for (const m of matches) {
+					lines.push(`    ${m.direction === 'param' ? 'param' : 'returns'} ${m.name ? `${m.name}: ` : ''}${m.type}`);
+				}
+				if (detail === 'full') lines.push('');
+			}
+
+			return toolResult(lines.join('\n').trimEnd(), structured);
+		},
+	},
+	{
+		name: 'list_deprecated',
+		description: 'List all deprecated WoW API functions with their replacements. Optionally filter by namespace or function name, or by the patch they were deprecated in. Results are paged with limit/offset.',
+		inputSchema: {
+			filter: z.string().optional().describe('Optional filter by namespace or function name (e.g. "Spell", "Item", "Guild")'),
+			since: z.string().optional().describe('Only functions deprecated in this patch or later (e.g. "11.0.0")'),
+			...listParams(100),
+		},
+		outputSchema: listDeprecatedOutput,
+		run(store, { filter, since, detail = 'compact', ...paging }) {
+			const { items, page } = paginate(store.listDeprecated(filter, { since }), paging, 100);
+			const structured = { filter: filter ?? null, since: since ?? null, functions: items, ...page };
+			const filterMsg = `${filter ? ` matching "${filter}"` : ''}${since ? ` since patch ${since}` : ''}`;
+			if (page.total === 0) {
+				return toolResult(`No deprecated functions found${filterMsg}.`, structured);
+			}
+
+			const lines = [`${page.total} deprecated function(s)${filterMsg}${pageNote(page, items.length)}:\n`];
+			if (detail === 'full') {
+				lines.push(formatFunctions(items, detail));
+			} else {
+				for (const func of items) {
+					const replacement = func.replacedBy ? ` -> ${func.replacedBy}` : ' (no replacement listed)';
+					const patch = func.deprecatedInPatch ? ` [patch ${func.deprecatedInPatch}]` : '';
+					lines.push(`${func.fullName}${replacement}${patch}`);
+				}
+			}
+
+			return toolResult(lines.join('\n'), structured);
+		},
+	},
+	{
+		name: 'list_restricted',
+		description: 'List WoW API functions that are protected or restricted: #protected (secure code only), #nocombat (blocked in combat lockdown), #restrictedframe and #hwevent (needs a key or mouse press). Optionally filter by namespace or function name and by flag. Use it to find the calls behind taint and combat-lockdown errors. Results are paged with limit/offset.',
+		inputSchema: {
+			filter: z.string().optional().describe('Optional filter by namespace or function name (e.g. "C_PartyInfo", "Cast")'),
+			flags: z.array(z.enum(RESTRICTION_FLAGS)).optional().describe(`Only functions with any of these flags (default all: ${RESTRICTION_FLAGS.join(', ')})`),
+			...listParams(100),
+		},
+		outputSchema: listRestrictedOutput,
+		run(store, { filter, flags = RESTRICTION_FLAGS, detail = 'compact', ...paging }) {
+			const { items, page } = paginate(store.listRestricted(filter, { flags }), paging, 100);
+			const structured = { filter: filter ?? null, flags, functions: items, ...page };
+			const filterMsg = `${filter ? ` matching "${filter}"` : ''}${flags.length < RESTRICTION_FLAGS.length ? ` flagged ${flags.map((flag) => `#${flag}`).join(' or ')}` : ''}`;
+			if (page.total === 0) {
+				return toolResult(`No restricted functions found${filterMsg}.`, structured);
+			}
+
+			return toolResult(`${page.total} restricted function(s)${filterMsg}${pageNote(page, items.length)}:\n\n${formatFunctions(items, detail)}`, structured);
+		},
+	},
+	{
+		name: 'audit_addon',
+		description: 'Scan a local addon directory for calls to deprecated WoW API functions. Reports file:line, replacement and deprecation patch, grouped by file and sorted by patch. Calls are paged with limit/offset.',
+		inputSchema: {
+			path: z.string().describe('Absolute path to the addon directory (e.g. "C:/WoW/_retail_/Interface/AddOns/MyAddon")'),
+			...listParams(100, null),
+		},
+		outputSchema: auditAddonOutput,
+		run(store, { path, ...paging }) {
+			if (!existsSync(path) || !statSync(path).isDirectory()) {
+				return toolResult(`Addon directory not found: "${path}".`, { path, found: false, filesScanned: 0, totalCalls: 0, files: [], ...paginate([], paging, 100).page });
+			}
+
+			const report = store.auditAddon(path);
+			const { files, page, count } = paginateFileCalls(report.files, paging, 100);
+			const structured = {
+				path,
+				found: true,
+				filesScanned: report.filesScanned,
+				totalCalls: report.totalCalls,
+				...page,
+				files: files.map(({ file, calls }) => ({
+					file,
+					calls: calls.map(({ line, column, func }) => ({ line, column, name: func.fullName, replacedBy: func.replacedBy, replacedByUrl: func.replacedByUrl, deprecatedInPatch: func.deprecatedInPatch ?? null })),
+				})),
+			};
+			if (report.totalCalls === 0) {
+				return toolResult(`No deprecated API calls found in ${report.filesScanned} Lua file(s) under "${path}".`, structured);
+			}
+
+			const lines = [`${report.totalCalls} deprecated call(s) in ${report.files.length} of ${report.filesScanned} Lua file(s)${pageNote(page, count)}:\n`];
+			for (const { file, calls } of files) {
+				lines.push(`${file}:`);
+				for (const { line, column, func } of calls) {
+					const replacement = func.replacedBy ? ` -> ${func.replacedBy}` : ' (no replacement listed)';
+					const patch = func.deprecatedInPatch ? ` [patch ${func.deprecatedInPatch}]` : '';
+					lines.push(`  ${file}:${line}:${column} ${func.fullName}${replacement}${patch}`);
+					if (func.replacedByUrl) lines.push(`    Replacement docs: ${func.replacedByUrl}`);
+				}
+				lines.push('');
+			}
+
+			return toolResult(lines.join('\n'), structured);
+		},
+	},
+	{
+		name: 'migrate_code',
+		description: 'Rewrite deprecated WoW API calls in a Lua snippet to their replacements. Calls whose replacement takes the same params and returns the same values are renamed; calls whose signature changed are renamed with a TODO comment explaining the mismatch. Returns a summary and a unified diff.',
+		inputSchema: {
+			code: z.string().describe('Lua source to migrate'),
+		},
+		outputSchema: migrateCodeOutput,
+		run(store, { code }) {
+			const result = migrateCode(store, code);
+			return toolResult(formatMigration(result), result);
+		},
+	},
+	{
+		name: 'check_flavors',
+		description: 'Check a local addon directory for WoW API calls that are missing from any target game flavor (Mainline, Vanilla, Mists). Targets default to the flavors in the addon\'s .toc "## Interface" lines. Calls are paged with limit/offset.',
+		inputSchema: {
+			path: z.string().describe('Absolute path to the addon directory (e.g. "C:/WoW/_retail_/Interface/AddOns/MyAddon")'),
+			flavors: z.array(z.enum(GAME_FLAVORS)).optional().describe('Target flavors (e.g. ["Mainline", "Vanilla"]). Inferred from .toc files when omitted.'),
+			...listParams(100, null),
+		},
+		outputSchema: checkFlavorsOutput,
+		run(store, { path, flavors, ...paging }) {
+			const structured = { path, found: false, targets: [], inferred: false, unsupportedInterfaces: [], filesScanned: 0, totalCalls: 0, files: [], ...paginate([], paging, 100).page };
+			if (!existsSync(path) || !statSync(path).isDirectory()) {
+				return toolResult(`Addon directory not found: "${path}".`, structured);
+			}
+			structured.found = true;
+
+			const lines = [];
+			let targets = flavors;
+			if (!targets || targets.length === 0) {
+				const inferred = store.inferAddonFlavors(path);
+				structured.inferred = true;
+				structured.unsupportedInterfaces = inferred.unsupported;
+				if (inferred.unsupported.length > 0) {
+					lines.push(`Note: no flavor data for interface version(s) ${inferred.unsupported.join(', ')} (only ${GAME_FLAVORS.join(', ')} are tracked).`);
+				}
+				if (inferred.flavors.length === 0) {
+					lines.push(`Could not infer target flavors from .toc "## Interface" lines in "${path}". Pass flavors explicitly.`);
+					return toolResult(lines.join('\n'), structured);
+				}
+				targets = inferred.flavors;
+				lines.push(`Targets inferred from .toc: ${targets.join(', ')}`);
+			} else {
+				lines.push(`Targets: ${targets.join(', ')}`);
+			}
+			structured.targets = targets;
+
+			const report = store.checkAddonFlavors(path, targets);
+			const { files, page, count } = paginateFileCalls(report.files, paging, 100);
+			Object.assign(structured, page);
+			structured.filesScanned = report.filesScanned;
+			structured.totalCalls = report.totalCalls;
+			structured.files = files.map(({ file, calls }) => ({
+				file,
+				calls: calls.map(({ line, column, func, missing }) => ({ line, column, name: func.fullName, missing, gameVersions: func.gameVersions })),
+			}));
+			if (report.totalCalls === 0) {
+				lines.push(`\nAll API calls with flavor data in ${report.filesScanned} Lua file(s) are available in every target.`);
+				return toolResult(lines.join('\n'), structured);
+			}
+
+			lines.push(`\n${report.totalCalls} call(s) missing from a target in ${report.files.length} of ${report.filesScanned} Lua file(s)${pageNote(page, count)}:\n`);
+			for (const { file, calls } of files) {
+				lines.push(`${file}:`);
+				for (const { line, column, func, missing } of calls) {
+					lines.push(`  ${file}:${line}:${column} ${func.fullName} -- missing in ${missing.join(', ')} (available: ${func.gameVersions.join(', ')})`);
+				}
+				lines.push('');
+			}
+
+			return toolResult(lines.join('\n'), structured);
+		},
+	},
+	{
+		name: 'get_namespace',
+		description: 'Get the functions in a WoW API namespace (e.g. "C_SpellBook", "C_Item"), one line each by default; set detail "full" for complete entries. Pass "list" to see all available namespaces. Results are paged with limit/offset.',
+		inputSchema: {
+			name: z.string().describe('Namespace name (e.g. "C_SpellBook") or "list" to see all namespaces'),
+			...listParams(`100, or ${NAME_LIST_LIMIT} with name "list"`),
+		},
+		outputSchema: getNamespaceOutput,
+		run(store, { name, detail = 'compact', ...paging }) {
+			if (name.toLowerCase() === 'list') {
+				const { items, page } = paginate(store.listNamespaces(), paging, NAME_LIST_LIMIT);
+				return toolResult(`${page.total} namespaces${pageNote(page, items.length)}:\n\n${items.join('\n')}`, { namespace: null, functions: [], namespaces: items, ...page, suggestions: [] });
+			}
+
+			const { items, page } = paginate(store.getNamespace(name), paging, 100);
+			if (page.total === 0) {
+				return toolResult(`No namespace found matching "${name}".${didYouMean(store, name, 'namespace')} Use name="list" to see all namespaces.`, { namespace: null, functions: [], ...page, suggestions: store.suggest(name, 'namespace') });
+			}
+
+			const namespace = store.getNamespace(name)[0].namespace;
+			const text = `Namespace: ${namespace} (${page.total} functions)${pageNote(page, items.length)}\n\n${formatFunctions(items, detail)}`;
+			return toolResult(text, { namespace, functions: items, ...page, suggestions: [] });
+		},
+	},
+	{
+		name: 'get_widget_methods',
+		description: 'Get the methods of a WoW UI widget class (e.g. "Frame", "Button", "ScriptRegion"), one line each by default; set detail "full" for complete entries. Pass "list" to see all widget types. Set include_inherited to also list methods from the whole ancestor chain (Region, ScriptRegion, Object, ...). Methods are paged with limit/offset.',
+		inputSchema: {
+			widget_type: z.string().describe('Widget type name (e.g. "Frame", "Button") or "list" to see all widget types'),
+			include_inherited: z.boolean().optional().describe('Also include methods inherited from ancestor classes, tagged with the class they come from (default false)'),
+			...listParams(`100, or ${NAME_LIST_LIMIT} with widget_type "list"`),
+		},
+		outputSchema: getWidgetMethodsOutput,
+		run(store, { widget_type, include_inherited, detail = 'compact', ...paging }) {
+			if (widget_type.toLowerCase() === 'list') {
+				const { items, page } = paginate(store.listWidgets(), paging, NAME_LIST_LIMIT);
+				return toolResult(`${page.total} widget types${pageNote(page, items.length)}:\n\n${items.join('\n')}`, { widget: null, classInfo: null, methods: [], widgets: items, ...page, suggestions: [] });
+			}
+
+			const widget = store.getWidgetMethods(widget_type);
+			if (!widget) {
+				return toolResult(`No widget type found matching "${widget_type}".${didYouMean(store, widget_type, 'widget')} Use widget_type="list" to see all types.`, { widget: null, classInfo: null, methods: [], ...paginate([], paging, 100).page, suggestions: store.suggest(widget_type, 'widget') });
+			}
+
+			const classInfo = widget.classInfo ?? null;
+			if (!include_inherited) {
+				const { items, page } = paginate(widget.methods, paging, 100);
+				return toolResult(formatClassMethods(classInfo, 'Widget', items, page, detail), { widget: classInfo?.name ?? widget.methods[0]?.namespace ?? widget_type, classInfo, methods: items, ...page, suggestions: [] });
+			}
+
+			const lines = [];
+			if (classInfo) lines.push(formatWidgetClassInfo(classInfo));
+			const inherited = store.getWidgetMethodsInherited(widget_type);
+			if (inherited.ancestors.length > 0) {
+				lines.push(`Ancestors: ${inherited.ancestors.join(' -> ')}`);
+			}
+			if (inherited.missingParents.length > 0) {
+				lines.push(`Unknown parent classes: ${inherited.missingParents.join(', ')}`);
+			}
+			const { items, page } = paginate(inherited.methods, paging, 100);
+			if (page.total > 0) {
+				lines.push(`\nMethods including inherited (${page.total})${pageNote(page, items.length)}:\n`);
+				for (const { method, from } of items) {
+					if (detail !== 'full') {
+						lines.push(formatFunctionCompact(method));
+						continue;
+					}
+					if (from !== inherited.name) lines.push(`(inherited from ${from})`);
+					lines.push(formatFunction(method));
+					lines.push('');
+				}
+			}
+
+			return toolResult(lines.join('\n').trimEnd(), {
+				widget: inherited.name,
+				classInfo,
+				methods: items.map(({ method, from }) => (from === inherited.name ? method : { ...method, inheritedFrom: from })),
+				ancestors: inherited.ancestors,
+				missingParents: inherited.missingParents,
+				...page,
+				suggestions: [],
+			});
+		},
+	},
+	{
+		name: 'get_widget_hierarchy',
+		description: 'Show the class hierarchy of a WoW UI widget class: the tree of classes it inherits from and the tree of classes that inherit from it.',
+		inputSchema: {
+			widget_type: z.string().describe('Widget type name (e.g. "Button", "Region")'),
+		},
+		outputSchema: getWidgetHierarchyOutput,
+		run(store, { widget_type }) {
+			const hierarchy = store.getWidgetHierarchy(widget_type);
+			if (!hierarchy) {
+				return toolResult(`No widget type found matching "${widget_type}".${didYouMean(store, widget_type, 'widget')} Use get_widget_methods with widget_type="list" to see all types.`, {
+					widget: null,
+					ancestors: null,
+					descendants: null,
+					suggestions: store.suggest(widget_type, 'widget'),
+				});
+			}
+
+			const renderTree = (node, depth, out) => {
+				const marker = node.cycle ? ' (cycle)' : node.missing ? ' (unknown class)' : '';
+				out.push(`${'  '.repeat(depth)}${node.name}${marker}`);
+				for (const child of node.children) renderTree(child, depth + 1, out);
+				return out;
+			};
+
+			const lines = [`Hierarchy for ${hierarchy.name}`, '', 'Inherits from:'];
+			renderTree(hierarchy.ancestors, 1, lines);
+			lines.push('', 'Inherited by:');
+			if (hierarchy.descendants.children.length === 0) {
+				lines.push('  (no subclasses)');
+			} else {
+				renderTree(hierarchy.descendants, 1, lines);
+			}
+
+			return toolResult(lines.join('\n'), { widget: hierarchy.name, ancestors: hierarchy.ancestors, descendants: hierarchy.descendants, suggestions: [] });
+		},
+	},
+	{
+		name: 'get_structure',
+		description: 'Look up a Blizzard API structure (the table types documented by Blizzard, e.g. "SpellInfo", "ItemLocation") and its fields. Pass "list" to see all structures, paged with limit/offset.',
+		inputSchema: {
+			name: z.string().describe('Structure name (e.g. "SpellInfo") or "list" to see all structures'),
+			...listParams(NAME_LIST_LIMIT, null),
+		},
+		outputSchema: getStructureOutput,
+		run(store, { name, ...paging }) {
+			if (name.toLowerCase() === 'list') {
+				const { items, page } = paginate(store.listStructures(), paging, NAME_LIST_LIMIT);
+				return toolResult(`${page.total} API structures${pageNote(page, items.length)}:\n\n${items.join('\n')}`, { structure: null, structures: items, ...page, suggestions: [] });
+			}
+
+			const structure = store.getStructure(name);
+			const { page } = paginate(structure ? [structure] : [], {}, 1);
+			if (!structure) {
+				return toolResult(`No API structure found matching "${name}".${didYouMean(store, name, 'structure')} Use name="list" to see all structures.`, { structure: null, ...page, suggestions: store.suggest(name, 'structure') });
+			}
+			return toolResult(formatWidgetClassInfo(structure, 'Structure'), { structure, ...page, suggestions: [] });
+		},
+	},
+	{
+		name: 'get_mixin',
+		description: 'Look up a FrameXML mixin (e.g. "ItemLocationMixin", "ColorMixin") with its fields and methods, one line per method by default; set detail "full" for complete entries. Pass "list" to see all mixins. Methods are paged with limit/offset.',
+		inputSchema: {
+			name: z.string().describe('Mixin name (e.g. "ItemLocationMixin") or "list" to see all mixins'),
+			...listParams(`100, or ${NAME_LIST_LIMIT} with name "list"`),
+		},
+		outputSchema: getMixinOutput,
+		run(store, { name, detail = 'compact', ...paging }) {
+			if (name.toLowerCase() === 'list') {
+				const { items, page } = paginate(store.listMixins(), paging, NAME_LIST_LIMIT);
+				return toolResult(`${page.total} FrameXML mixins${pageNote(page, items.length)}:\n\n${items.join('\n')}`, { mixin: null, classInfo: null, methods: [], mixins: items, ...page, suggestions: [] });
+			}
+
+			const mixin = store.getMixin(name);
+			if (!mixin) {
+				return toolResult(`No FrameXML mixin found matching "${name}".${didYouMean(store, name, 'mixin')} Use name="list" to see all mixins.`, { mixin: null, classInfo: null, methods: [], ...paginate([], paging, 100).page, suggestions: store.suggest(name, 'mixin') });
+			}
+
+			const { items, page } = paginate(mixin.methods, paging, 100);
+			return toolResult(formatClassMethods(mixin.classInfo, 'Mixin', items, page, detail), { mixin: mixin.name, classInfo: mixin.classInfo ?? null, methods: items, ...page, suggestions: [] });
+		},
+	},
+	{
+		name: 'get_enum',
+		description: 'Look up a WoW enum and its values (e.g. "Enum.SpellBookSpellBank"). Supports partial name matching; partial matches are paged with limit/offset. An enum\'s members are always returned whole.',
+		inputSchema: {
+			name: z.string().describe('Enum name (e.g. "Enum.SpellBookSpellBank", "SpellBookSpellBank")'),
+			...listParams(25, null),
+		},
+		outputSchema: getEnumOutput,
+		run(store, { name, ...paging }) {
+			const result = store.getEnum(name);
+			if (!result) {
+				// Try searching
+				const { items, page } = paginate(Object.entries(store.searchEnums(name)), paging, 25);
+				if (page.total === 0) {
+					return toolResult(`No enum found matching "${name}".${didYouMean(store, name, 'enum')}`, { query: name, enums: {}, ...page, suggestions: store.suggest(name, 'enum') });
+				}
+
+				const blocks = [`${page.total} enums match "${name}"${pageNote(page, items.length)}:\n`];
+				for (const [enumName, values] of items) {
+					blocks.push(formatEnum(enumName, values), '');
+				}
+				return toolResult(blocks.join('\n'), { query: name, enums: Object.fromEntries(items), ...page, suggestions: [] });
+			}
+
+			return toolResult(formatEnum(result.name, result.values), { query: name, enums: { [result.name]: result.values }, ...paginate([result], paging, 25).page, suggestions: [] });
+		},
+	},
+	{
+		name: 'decode_enum',
+		description: 'Translate between enum values and member names. Given a value, return the member it stands for; for bitflag enums (every member a power of two) a combined value is split into its member flags. Given member names, encode them into a value (OR-ed together for bitflag enums).',
+		inputSchema: {
+			name: z.string().describe('Enum name, with or without the "Enum." prefix (e.g. "Enum.PowerType", "ItemFlags")'),
+			value: z.number().int().optional().describe('Value to decode (e.g. 0, 5)'),
+			names: z.array(z.string()).optional().describe('Member names to encode (e.g. ["Soulbound", "Openable"])'),
+			as_flags: z.boolean().optional().describe('Treat the enum as bitflags (true) or as plain values (false) instead of detecting it'),
+		},
+		outputSchema: decodeEnumOutput,
+		run(store, { name, value, names, as_flags: asFlags }) {
+			const empty = { query: name, enum: null, isFlags: false, value: null, matches: [], flags: [], unknownBits: 0, unknownKeys: [], suggestions: [] };
+			if ((value === undefined) === (names === undefined || names.length === 0)) {
+				return toolResult('Pass either a value to decode or names to encode.', empty);
+			}
+
+			const decoded = value !== undefined ? store.decodeEnum(name, value, { asFlags }) : store.encodeEnum(name, names, { asFlags });
+			if (!decoded) {
+				const suggestions = store.suggest(name, 'enum');
+				return toolResult(`No enum found matching "${name}".${didYouMean(store, name, 'enum')}`, { ...empty, suggestions });
+			}
+
+			const kind = decoded.isFlags ? ' (bitflags)' : '';
+			if (value !== undefined) {
+				const { matches, flags, unknownBits } = decoded;
+				const parts = [];
+				if (matches.length > 0) parts.push(matches.join(' / '));
+				if (flags.length > 0 && !(flags.length === 1 && matches.includes(flags[0]))) parts.push(flags.join(' | '));
+				if (unknownBits) parts.push(`unknown bits 0x${unknownBits.toString(16)}`);
+				const text = parts.length > 0 ? `${decoded.name}${kind}: ${value} = ${parts.join('; ')}` : `${decoded.name}${kind} has no member with value ${value}.`;
+				return toolResult(text, { ...empty, enum: decoded.name, isFlags: decoded.isFlags, value, matches, flags, unknownBits });
+			}
+
+			const { keys, unknownKeys } = decoded;
+			const { values } = store.getEnum(decoded.name);
+			const unevaluated = keys.filter((k) => values[k].value === null);
+			let text;
+			if (unknownKeys.length > 0) {
+				text = `${decoded.name} has no member named ${unknownKeys.map((k) => `"${k}"`).join(', ')}. Members: ${Object.keys(values).join(', ')}`;
+			} else if (unevaluated.length > 0) {
+				text = `${decoded.name}: ${unevaluated.map((k) => `${k} = ${values[k].literal}`).join(', ')} could not be evaluated, so no value can be encoded.`;
+			} else if (decoded.value === null && !decoded.isFlags) {
+				text = `${decoded.name} is not a bitflag enum, so ${keys.join(', ')} cannot be combined. Pass one name, or as_flags=true to OR them anyway.`;
+			} else if (decoded.value === null) {
+				text = `${decoded.name}: only members with non-negative integer values can be combined.`;
+			} else {
+				const hex = decoded.isFlags ? ` (0x${decoded.value.toString(16)})` : '';
+				text = `${decoded.name}${kind}: ${keys.join(' | ')} = ${typeof decoded.value === 'string' ? JSON.stringify(decoded.value) : decoded.value}${hex}`;
+			}
+			return toolResult(text, { ...empty, enum: decoded.name, isFlags: decoded.isFlags, value: decoded.value, matches: keys, unknownKeys });
+		},
+	},
+	{
+		name: 'get_type',
+		description: 'Resolve a named type used in API signatures (e.g. "FramePoint", "UnitToken", "Enum.PowerType", "SpellInfo"). Aliases are resolved to their allowed values, following nested aliases; enums list their values and structures their fields.',
+		inputSchema: {
+			name: z.string().describe('Type name (e.g. "FramePoint", "Enum.PowerType", "SpellInfo")'),
+		},
+		outputSchema: getTypeOutput,
+		run(store, { name }) {
+			const type = store.getType(name);
+			if (!type) {
+				return toolResult(`No type found matching "${name}".${didYouMean(store, name, 'type')}`, { query: name, type: null, suggestions: store.suggest(name, 'type') });
+			}
+			return toolResult(formatType(type), { query: name, type, suggestions: [] });
+		},
+	},
+	{
+		name: 'get_event',
+		description: 'Look up a WoW frame event and its payload parameters (e.g. "PLAYER_LOGIN", "ADDON_LOADED"). Supports partial name matching; partial matches are paged with limit/offset. An exact match also lists the namespace it belongs to and related API functions that take its payload values, paged with limit/offset.',
+		inputSchema: {
+			name: z.string().describe('Event name (e.g. "PLAYER_LOGIN", "ADDON_LOADED", "SPELL")'),
+			...listParams(50),
+		},
+		outputSchema: getEventOutput,
+		run(store, { name, detail = 'compact', ...paging }) {
+			const result = store.getEvent(name);
+			if (!result) {
+				return toolResult(`No event found matching "${name}".${didYouMean(store, name, 'event')}`, { query: name, event: null, matches: [], ...paginate([], paging, 50).page, suggestions: store.suggest(name, 'event') });
+			}
+
+			if (Array.isArray(result)) {
+				const { items, page } = paginate(result, paging, 50);
+				const lines = [`Events matching "${name}" (${page.total} results)${pageNote(page, items.length)}:\n`];
+				for (const evt of items) {
+					if (detail === 'full') {
+						lines.push(formatEvent(store, evt), '');
+						continue;
+					}
+					const payload = evt.payload ? ` -- payload: ${evt.payload}` : ' -- no payload';
+					lines.push(`${evt.name}${payload}`);
+				}
+				return toolResult(lines.join('\n').trimEnd(), { query: name, event: null, matches: items, ...page, suggestions: [] });
+			}
+
+			const { items, page } = paginate(store.getEventRelated(result).functions, paging, 50);
+			const relatedFunctions = items.map(({ func, via }) => ({ name: func.fullName, via }));
+			const text = formatEvent(store, result, { items, total: page.total, note: pageNote(page, items.length) });
+			return toolResult(text, { query: name, event: { ...result, relatedFunctions }, matches: [], ...page, suggestions: [] });
+		},
+	},
+	{
+		name: 'get_cvar',
+		description: 'Look up a WoW console variable (CVar) by name to check it exists before using SetCVar/GetCVar. Returns description, default value, category and scope when known.',
+		inputSchema: {
+			name: z.string().describe('CVar name (e.g. "autoLootDefault", "nameplateShowEnemies")'),
+		},
+		outputSchema: getCVarOutput,
+		run(store, { name }) {
+			const cvar = store.getCVar(name);
+			if (cvar) {
+				return toolResult(formatCVar(cvar), { cvar, similar: [], suggestions: [] });
+			}
+
+			const similar = store
+				.searchCVars(name)
+				.slice(0, 10)
+				.map((c) => c.name);
+			const suggestions = similar.length > 0 ? [] : store.suggest(name, 'cvar');
+			const hint = similar.length > 0 ? ` Similar CVars: ${similar.join(', ')}` : didYouMean(store, name, 'cvar');
+			return toolResult(`No CVar named "${name}".${hint}`, { cvar: null, similar, suggestions });
+		},
+	},
+	{
+		name: 'search_cvars',
+		description: 'Search WoW console variables (CVars) by keyword in their names and descriptions. Optionally filter by category (e.g. "Graphics", "Sound", "Game"). Results are paged with limit/offset.',
+		inputSchema: {
+			query: z.string().describe('Search query (e.g. "nameplate", "sound", "loot")'),
+			category: z.string().optional().describe('Optional category filter (e.g. "Graphics", "Sound", "Game")'),
+			...listParams(50),
+		},
+		outputSchema: searchCVarsOutput,
+		run(store, { query, category, detail = 'compact', ...paging }) {
+			const { items, page } = paginate(store.searchCVars(query, category), paging, 50);
+			const structured = { query, category: category ?? null, cvars: items, ...page };
+			const categoryMsg = category ? ` in category "${category}"` : '';
+			if (page.total === 0) {
+				return toolResult(`No CVars found matching "${query}"${categoryMsg}.`, structured);
+			}
+
+			const entries = items.map((cvar) => {
+				if (detail === 'full') return formatCVar(cvar);
+				const defaultValue = cvar.default !== null ? ` (default ${cvar.default})` : '';
+				return `${cvar.name}${defaultValue}${cvar.description ? ` -- ${cvar.description}` : ''}`;
+			});
+			return toolResult(`Found ${page.total} CVar(s) matching "${query}"${categoryMsg}${pageNote(page, items.length)}:\n\n${entries.join(detail === 'full' ? '\n\n' : '\n')}`, structured);
+		},
+	},
+	{
+		name: 'get_constant',
+		description: 'Look up WoW constants: `Constants.*` tables and global constants such as LE_* and NUM_*. Pass a constant name for its value, a `Constants.*` table name for its members, or any other text to search constant names. Pass value to find the constants with that value (reverse lookup), optionally narrowed by name. Results are paged with limit/offset.',
+		inputSchema: {
+			name: z.string().optional().describe('Constant name, Constants.* table name or search text (e.g. "NUM_BAG_SLOTS", "Constants.AccountStoreConsts", "PARTY_CATEGORY")'),
+			value: z.union([z.number(), z.string(), z.boolean()]).optional().describe('Find the constants with exactly this value (e.g. 4)'),
+			...listParams(50, null),
+		},
+		outputSchema: getConstantOutput,
+		run(store, { name, value, ...paging }) {
+			const structured = (items, page, extra = {}) => ({ query: name ?? null, value: value ?? null, table: null, constants: items, ...page, suggestions: [], ...extra });
+			if (name === undefined && value === undefined) {
+				const { items, page } = paginate([], paging, 50);
+				return toolResult('Pass a constant name to look up or search, or a value to find constants by value.', structured(items, page));
+			}
+
+			const constant = value === undefined ? store.getConstant(name) : null;
+			if (constant) {
+				const { items, page } = paginate([constant], paging, 50);
+				return toolResult(formatConstant(constant), structured(items, page));
+			}
+
+			const tableMembers = value === undefined ? store.getConstantTable(name) : [];
+			const results = tableMembers.length > 0 ? tableMembers : store.searchConstants(name ?? '', { value });
+			const { items, page } = paginate(results, paging, 50);
+			const table = tableMembers.length > 0 ? tableMembers[0].table : null;
+			if (page.total === 0) {
+				const what = value !== undefined ? `with value ${JSON.stringify(value)}${name ? ` matching "${name}"` : ''}` : `matching "${name}"`;
+				const suggestions = name ? store.suggest(name, 'constant') : [];
+				return toolResult(`No constants found ${what}.${name ? didYouMean(store, name, 'constant') : ''}`, structured(items, page, { suggestions }));
+			}
+
+			const header = table ? `${table} (${page.total} constants)` : value !== undefined ? `${page.total} constant(s) with value ${JSON.stringify(value)}${name ? ` matching "${name}"` : ''}` : `${page.total} constant(s) matching "${name}"`;
+			return toolResult(`${header}${pageNote(page, items.length)}:\n\n${items.map(formatConstant).join('\n')}`, structured(items, page, { table }));
+		},
+	},
+	{
+		name: 'diff_api',
+		description: 'Diff the WoW API between two installed ketho.wow-api extension versions: added/removed functions, events, enums, enum values, widget methods and CVars, plus signature changes and newly deprecated functions. Defaults to the two latest installed versions.',
+		inputSchema: {
+			from: z.string().optional().describe('Older extension version (e.g. "0.22.1") or extension path. Defaults to the second-latest installed version.'),
+			to: z.string().optional().describe('Newer extension version or extension path. Defaults to the latest installed version.'),
+		},
+		outputSchema: diffApiOutput,
+		// Loads its own stores on a worker thread; errors (e.g. fewer than two installed versions) reject to the caller
+		async run(store, { from, to }, { useCache }) {
+			const diff = await diffExtensionsInWorker(from, to, { useCache });
+			return toolResult(formatApiDiff(diff), diff);
+		},
+	},
+];
+
+const outputParsers = new Map(TOOLS.map((tool) => [tool.name, z.object(tool.outputSchema)]));
+
+/**
+ * Run a tool and cut its structured result down to the fields its outputSchema declares. Store objects carry
+ * extra fields (a function's raw `args`, for one) that clients validating structuredContent would reject.
+ * Async because some tools (diff_api) do their work off the main thread.
+ */
+export async function runTool(tool, store, args, options) {
+	const { text, structured } = await tool.run(store, args, options);
+	return { text, structured: outputParsers.get(tool.name).parse(structured) };
+}
@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { parseEnumFile, parseFunType } from '../src/parsers/lua-annotations.mjs';
+
+/**
+ * Parse Lua source written to a temporary file with one of the file parsers.
+ */
+function parseSource(parse, source) {
+	const dir = mkdtempSync(join(tmpdir(), 'wow-api-test-'));
+	try {
+		const file = join(dir, 'Test.lua');
+		writeFileSync(file, source);
+		return parse(file);
+	} finally {
+		rmSync(dir, { recursive: true, force: true });
+	}
+}
+
+test('parseFunType reads named, optional and vararg params', () => {
+	const { params, returns } = parseFunType('fun(a: number, b?: string, ...: any): boolean, string');
+	assert.deepEqual(params, [
+		{ name: 'a', optional: false, type: 'number', description: null },
+		{ name: 'b', optional: true, type: 'string', description: null },
+		{ name: '...', optional: true, type: 'any', description: null },
+	]);
+	assert.deepEqual(returns.map((r) => r.type), ['boolean', 'string']);
+});
+
+test('parseFunType keeps unnamed param types instead of throwing', () => {
+	const { params } = parseFunType('fun(self: Frame, Frame[], table<string, number>)');
+	assert.deepEqual(params, [
+		{ name: 'self', optional: false, type: 'Frame', description: null },
+		{ name: null, optional: false, type: 'Frame[]', description: null },
+		{ name: null, optional: false, type: 'table<string, number>', description: null },
+	]);
+});
+
+test('parseFunType returns null for other types', () => {
+	assert.equal(parseFunType('string'), null);
+});
+
+test('parseEnumFile lists numeric keys, positional entries and inline sub-tables', () => {
+	const enums = parseSource(parseEnumFile, ['---@enum Enum.Test', 'Enum.Test = {', '\tA = 1,', '\t[5] = 2,', '\t"first",', '\tInline = { Z = A, "x" },', '}'].join('\n'));
+	assert.deepEqual(enums['Enum.Test'], {
+		A: { value: 1, literal: '1' },
+		5: { value: 2, literal: '2' },
+		1: { value: 'first', literal: '"first"' },
+		'Inline.Z': { value: 1, literal: 'A' },
+		'Inline.1': { value: 'x', literal: '"x"' },
+	});
+});
+
+test('parseEnumFile lists enums whose definition is not a table literal', () => {
+	const enums = parseSource(parseEnumFile, ['---@enum Enum.Base', 'Enum.Base = {', '\tA = 1,', '}', '---@enum Enum.Alias', 'Enum.Alias = Enum.Base', '---@enum Enum.Local', 'local Local = {', '}'].join('\n'));
+	assert.deepEqual(enums['Enum.Alias'], { A: { value: 1, literal: '1' } });
+	assert.deepEqual(enums['Enum.Local'], {});
+});